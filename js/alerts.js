@@ -0,0 +1,227 @@
+/* ============================================
+   ORBITWATCH — Pass Alerts
+   Notifications · Chime · Next-Pass Countdown
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch;
+  const { catalog, locations, passes, sound } = OrbitWatch;
+
+  // =============================================
+  // SCHEDULER — visible ISS passes at the current observer location
+  // =============================================
+  const STORAGE_KEY = 'orbitwatch.alerts';
+  const SEARCH_DAYS = 3;
+  const RESCAN_INTERVAL = 6 * 3600000;
+  const LEAD_OPTIONS = [1, 2, 5, 10, 15, 30]; // minutes
+
+  const settings = { enabled: false, leadMinutes: 5, sound: true };
+  let upcoming = []; // visible passes still ahead (real time)
+  let timers = [];
+  let lastScan = 0;
+  let scanSeq = 0;
+  let rescheduleTimer = null;
+
+  try {
+    Object.assign(settings, JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (err) {
+    console.warn('Alert settings restore failed:', err);
+  }
+
+  function saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+      console.warn('Alert settings save failed:', err);
+    }
+  }
+
+  function formatClock(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function describe(pass) {
+    const rise = passes.compassPoint(pass.startAz);
+    return `Rises ${formatClock(pass.start)} in the ${rise} · max ${Math.round(pass.maxEl)}° · mag ${passes.formatMagnitude(pass.magnitude)}`;
+  }
+
+  function fire(pass) {
+    const title = `ISS pass in ${settings.leadMinutes} min`;
+    if (settings.sound) sound.chime();
+    if (chipEl) {
+      chipEl.classList.add('nav__pass--alert');
+      setTimeout(() => chipEl.classList.remove('nav__pass--alert'), 10000);
+    }
+    if ('Notification' in window && Notification.permission === 'granted') {
+      new Notification(title, {
+        body: describe(pass),
+        tag: `orbitwatch-pass-${pass.start.getTime()}`,
+      });
+    }
+  }
+
+  function armTimers() {
+    timers.forEach(clearTimeout);
+    timers = [];
+    if (!settings.enabled) return;
+
+    const now = Date.now();
+    upcoming.forEach(pass => {
+      const delay = pass.start.getTime() - settings.leadMinutes * 60000 - now;
+      if (delay > 0) timers.push(setTimeout(() => fire(pass), delay));
+    });
+  }
+
+  async function scan() {
+    const iss = catalog.get(catalog.ISS_ID);
+    const observer = locations.current();
+    const seq = ++scanSeq;
+    lastScan = Date.now();
+
+    if (!iss || !iss.satrec || !observer) {
+      upcoming = [];
+    } else {
+      try {
+        const found = await passes.search(iss, observer, { start: Date.now(), days: SEARCH_DAYS });
+        if (seq !== scanSeq) return;
+        upcoming = found.filter(p => p.visible && p.end.getTime() > Date.now());
+      } catch (err) {
+        console.warn('Alert pass search failed:', err);
+        return;
+      }
+    }
+    armTimers();
+    renderChip();
+  }
+
+  // New TLEs and location edits arrive in bursts — rescan once they settle
+  function reschedule() {
+    clearTimeout(rescheduleTimer);
+    rescheduleTimer = setTimeout(scan, 500);
+  }
+
+  OrbitWatch.alerts = {
+    settings,
+    upcoming: () => upcoming.slice(),
+    reschedule,
+  };
+
+  // =============================================
+  // NAV COUNTDOWN CHIP
+  // =============================================
+  const chipEl = document.getElementById('nav-pass');
+  const chipTextEl = document.getElementById('nav-pass-text');
+
+  function formatCountdown(ms) {
+    const totalMin = Math.floor(ms / 60000);
+    const d = Math.floor(totalMin / 1440);
+    const h = Math.floor((totalMin % 1440) / 60);
+    const m = totalMin % 60;
+    if (d > 0) return `${d}D ${h}H`;
+    if (h > 0) return `${h}H ${String(m).padStart(2, '0')}M`;
+    const s = Math.floor(ms / 1000) % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+  }
+
+  function renderChip() {
+    if (!chipEl) return;
+    const now = Date.now();
+    upcoming = upcoming.filter(p => p.end.getTime() > now);
+    const next = upcoming[0];
+
+    chipEl.hidden = !next;
+    if (!next) return;
+
+    const overhead = next.start.getTime() <= now;
+    chipEl.classList.toggle('nav__pass--now', overhead);
+    chipEl.classList.toggle('nav__pass--armed', settings.enabled);
+    chipTextEl.textContent = overhead
+      ? 'ISS OVERHEAD'
+      : `ISS ${formatCountdown(next.start.getTime() - now)}`;
+    chipEl.title = describe(next);
+  }
+
+  if (chipEl) {
+    chipEl.addEventListener('click', () => {
+      const btnPasses = document.getElementById('btn-passes');
+      if (btnPasses) btnPasses.click();
+    });
+  }
+
+  // =============================================
+  // ALERT SETTINGS (passes drawer)
+  // =============================================
+  const formEl = document.getElementById('pass-alerts');
+  const statusEl = document.getElementById('pass-alerts-status');
+
+  function renderSettings() {
+    if (!formEl) return;
+    const toggle = formEl.elements.enabled;
+    toggle.classList.toggle('active', settings.enabled);
+    toggle.textContent = settings.enabled ? 'ALERTS ON' : 'ALERTS OFF';
+    formEl.elements.leadMinutes.value = settings.leadMinutes;
+    formEl.elements.sound.checked = settings.sound;
+
+    if (!statusEl) return;
+    if (!settings.enabled) {
+      statusEl.textContent = '';
+    } else if (!locations.current()) {
+      statusEl.textContent = 'Set an observer location to schedule alerts.';
+    } else if (!('Notification' in window) || Notification.permission !== 'granted') {
+      statusEl.textContent = 'Notifications blocked — alerts will chime and flash in this tab only.';
+    } else {
+      statusEl.textContent = `Alerting ${settings.leadMinutes} min before visible ISS passes at ${locations.current().name}.`;
+    }
+  }
+
+  if (formEl) {
+    formEl.elements.leadMinutes.innerHTML = LEAD_OPTIONS.map(m =>
+      `<option value="${m}">${m} MIN</option>`
+    ).join('');
+
+    formEl.elements.enabled.addEventListener('click', async () => {
+      settings.enabled = !settings.enabled;
+      if (settings.enabled) {
+        if (settings.sound) sound.unlock();
+        if ('Notification' in window && Notification.permission === 'default') {
+          await Notification.requestPermission();
+        }
+      }
+      saveSettings();
+      armTimers();
+      renderSettings();
+      renderChip();
+    });
+
+    formEl.addEventListener('change', () => {
+      settings.leadMinutes = Number(formEl.elements.leadMinutes.value);
+      settings.sound = formEl.elements.sound.checked;
+      if (settings.sound && settings.enabled) sound.unlock();
+      saveSettings();
+      armTimers();
+      renderSettings();
+    });
+    formEl.addEventListener('submit', e => e.preventDefault());
+  }
+
+  // =============================================
+  // INITIALIZE
+  // =============================================
+  document.addEventListener('orbitwatch:catalog-change', reschedule); // fires after every TLE refresh
+  document.addEventListener('orbitwatch:location-change', () => {
+    reschedule();
+    renderSettings();
+  });
+
+  setInterval(() => {
+    const before = upcoming.length;
+    renderChip(); // drops passes that have ended
+    if (Date.now() - lastScan > RESCAN_INTERVAL || (before > 0 && upcoming.length === 0)) scan();
+  }, 1000);
+
+  renderSettings();
+  catalog.ready.then(scan);
+
+})();
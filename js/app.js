@@ -10,13 +10,19 @@ import {
   BackSide,
   BufferAttribute,
   BufferGeometry,
+  CanvasTexture,
   Color,
+  Group,
+  LineBasicMaterial,
+  LineSegments,
   Mesh,
+  MeshBasicMaterial,
   MeshPhongMaterial,
   Points,
-  PointsMaterial,
   ShaderMaterial,
   SphereGeometry,
+  Sprite,
+  SpriteMaterial,
   TextureLoader,
   TOUCH,
   Vector2,
@@ -31,20 +37,51 @@ import {
     ASTROS_API: 'https://corquaid.github.io/international-space-station-APIs/JSON/people-in-space.json',
     GEOCODE_API: 'https://nominatim.openstreetmap.org/reverse',
     UPDATE_INTERVAL: 5000,
+    PANEL_UPDATE_INTERVAL: 1000,
+    SANITY_CHECK_INTERVAL: 60000,
+    SANITY_TOLERANCE_KM: 50,
     TRAIL_MAX: 60,
+    TRAIL_RENDER_INTERVAL: 250, // cap path rebuilds when fast-forwarding
+    // Predicted ground track
+    GROUND_TRACK_STEP: 30, // seconds between propagated samples
+    GROUND_TRACK_TICK_MIN: 10,
+    GROUND_TRACK_MAX_ORBITS: 3,
+    GROUND_TRACK_REFRESH: 60000,
+    // Visibility footprint
+    FOOTPRINT_STEP_DEG: 4, // bearing step around the horizon circle
+    FOOTPRINT_REFRESH: 1000, // polygons rebuild geometry, so not every frame
+    // Terminator, twilight bands, sub-solar / sub-lunar points
+    SKY_OVERLAY_REFRESH: 60000, // simulated ms — the terminator moves 0.25°/min
+    // Meteor radiants + viewing map
+    RADIANT_RADIUS: 1350, // just inside the starfield shell
+    METEOR_MAP_REFRESH: 3600000, // simulated ms — the grid is hourly anyway
+    METEOR_MAP_MIN_INTERVAL: 10000, // real ms — a full grid is a few hundred ms of work
+    // Orbital night
+    ECLIPSE_DIM: 0.35, // marker color scale while in Earth's shadow
     // Textures
     DAY_TEXTURE: 'https://cdn.jsdelivr.net/npm/three-globe/example/img/earth-day.jpg',
     NIGHT_TEXTURE: 'https://cdn.jsdelivr.net/npm/three-globe/example/img/earth-night.jpg',
     GLOBE_BUMP: 'https://unpkg.com/three-globe@2.41.2/example/img/earth-topology.png',
     CLOUD_TEXTURE: 'https://cdn.jsdelivr.net/npm/three-globe/example/img/earth-clouds.png',
-    // Starfield
-    STAR_COUNT: 15000,
+    // Sky backdrop
+    STAR_CATALOG: 'data/stars.json',
+    CONSTELLATION_DATA: 'data/constellations.json',
+    STAR_MAG_LIMIT: 6.5,
     STAR_FIELD_RADIUS: 1500,
     // Camera follow
     CAMERA_FOLLOW_TRANSITION: 3000,
     CAMERA_IDLE_THRESHOLD: 3,
   };
 
+  // Night-side caps around the anti-solar point, one per twilight boundary (sun depression, degrees).
+  // Stacked translucent caps darken progressively: civil -> nautical -> astronomical -> night.
+  const TWILIGHT_BANDS = [
+    { depression: 0, cap: 'rgba(10, 20, 60, 0.14)', alt: 0.0015 },
+    { depression: 6, cap: 'rgba(10, 20, 60, 0.14)', alt: 0.002 },
+    { depression: 12, cap: 'rgba(10, 20, 60, 0.14)', alt: 0.0025 },
+    { depression: 18, cap: 'rgba(10, 20, 60, 0.14)', alt: 0.003 },
+  ];
+
   // --- Day/Night GLSL Shader ---
   const DAY_NIGHT_SHADER = {
     vertexShader: `
@@ -109,6 +146,39 @@ import {
     `
   };
 
+  // --- Catalog Star Shader (per-star pixel size, soft round points) ---
+  const STAR_SHADER = {
+    vertexShader: `
+      attribute float size;
+      uniform float pixelRatio;
+      varying vec3 vColor;
+      void main() {
+        vColor = color;
+        gl_PointSize = size * pixelRatio;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      varying vec3 vColor;
+      void main() {
+        float d = length(gl_PointCoord - vec2(0.5));
+        if (d > 0.5) discard;
+        gl_FragColor = vec4(vColor, smoothstep(0.5, 0.15, d));
+      }
+    `
+  };
+
+  // B-V color index -> RGB for main-sequence stars, O/B blue through M red
+  const STAR_COLORS = [
+    [-0.4, [155, 178, 255]],
+    [0.0, [202, 216, 255]],
+    [0.4, [248, 247, 255]],
+    [0.8, [255, 238, 214]],
+    [1.2, [255, 210, 161]],
+    [1.6, [255, 181, 108]],
+    [2.0, [255, 157, 63]],
+  ];
+
   // --- Fresnel Atmospheric Glow Shader ---
   const FRESNEL_SHADER = {
     vertexShader: `
@@ -139,24 +209,61 @@ import {
     `
   };
 
+  // --- Satellite Catalog (catalog.js) + Simulation Clock (clock.js) + Observer (locations.js)
+  //     + Sun/Moon (ephemeris.js, moon.js) + Meteor showers (meteors.js) ---
+  const { catalog, clock, locations, ephemeris, moon, meteors, orbit, recorder } = window.OrbitWatch;
+
   // --- State ---
   const state = {
     globe: null,
-    trailPoints: [],
-    issData: [{ lat: 0, lng: 0, alt: 0.06 }],
     ringsData: [],
     lastGeocode: 0,
     // Phase 1
     dayNightEnabled: true,
     cloudsEnabled: true,
+    // Vector sky overlays (toggled independently of the shader)
+    overlays: { terminator: true, twilight: false, subsolar: true, sublunar: false, radiants: true, meteorMap: false, constellations: false },
+    overlayAt: 0,
+    overlayRenderedAt: 0,
+    overlayPolygons: [],
+    overlayMarkers: [],
+    skyMarkers: {},
+    // Sky sphere turned by sidereal time: catalog stars, constellations, meteor radiants
+    celestial: null,
+    constellations: null,
+    radiantSprites: {},
+    viewingMap: null,
+    meteorMapAt: 0,
+    meteorMapRenderedAt: 0,
+    meteorFocus: null,
     cloudMesh: null,
     globeMaterial: null,
     // Enhancements
     starField: null,
     fresnelMesh: null,
-    issLabel: null,
     currentLocation: '',
-    // Camera follow
+    // Multi-satellite tracking (keyed by NORAD ID)
+    positions: {},
+    trails: {},
+    markers: {},
+    // SGP4 is primary; the live API is a periodic check
+    lastPanelUpdate: 0,
+    lastSanityCheck: 0,
+    lastTrailTime: 0,
+    lastTrailRender: 0,
+    propagationErrorKm: null,
+    // Ground track (selected satellite)
+    groundTrackOrbits: 1,
+    groundTrack: null,
+    groundTrackAt: 0,
+    // Visibility footprint (selected satellite) + observer acquisition circle
+    footprintEnabled: true,
+    footprintAt: 0,
+    footprintPolygons: [],
+    observerMarker: null,
+    observerCovered: false,
+    // Camera follow (a deep-linked point of view waits here for the globe)
+    pendingPov: null,
     updateCount: 0,
     userInteracted: false,
     lastInteractionTime: 0,
@@ -173,8 +280,15 @@ import {
     crewList: document.getElementById('crew-list'),
     location: document.getElementById('location'),
     globeEl: document.getElementById('globe'),
+    heroTitle: document.getElementById('hero-title'),
+    heroSubtitle: document.getElementById('hero-subtitle'),
+    crewPanel: document.getElementById('panel-crew'),
     btnDayNight: document.getElementById('btn-daynight'),
     btnClouds: document.getElementById('btn-clouds'),
+    btnGroundTrack: document.getElementById('btn-groundtrack'),
+    groundTrackLabel: document.getElementById('groundtrack-label'),
+    btnFootprint: document.getElementById('btn-footprint'),
+    meteorMapLegend: document.getElementById('meteor-map-legend'),
   };
 
   // --- Compute Sun Position ---
@@ -186,63 +300,149 @@ import {
   }
 
   // ============================================
-  //  ENHANCEMENT 1: Animated Particle Starfield
+  //  ENHANCEMENT 1: Star Catalog Backdrop
+  //  Hipparcos stars to V 6.5 and the IAU stick figures, placed by
+  //  RA/Dec in the sky group that the animate loop turns by GMST, so the
+  //  sky stands still while the Earth rotates under it. J2000 positions;
+  //  precession (~0.35° by the 2020s) is below what the backdrop shows.
   // ============================================
-  function createStarField(scene) {
-    const positions = new Float32Array(CONFIG.STAR_COUNT * 3);
-    const sizes = new Float32Array(CONFIG.STAR_COUNT);
-    const colors = new Float32Array(CONFIG.STAR_COUNT * 3);
-
-    for (let i = 0; i < CONFIG.STAR_COUNT; i++) {
-      // Random position on a sphere shell
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const r = CONFIG.STAR_FIELD_RADIUS + (Math.random() - 0.5) * 300;
-
-      positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-      positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-      positions[i * 3 + 2] = r * Math.cos(phi);
-
-      // Vary sizes for depth
-      sizes[i] = 0.3 + Math.random() * 1.8;
-
-      // Slight color variation: warm white, cool white, blue-ish
-      const colorVariant = Math.random();
-      if (colorVariant < 0.7) {
-        // White
-        colors[i * 3] = 0.9 + Math.random() * 0.1;
-        colors[i * 3 + 1] = 0.9 + Math.random() * 0.1;
-        colors[i * 3 + 2] = 0.95 + Math.random() * 0.05;
-      } else if (colorVariant < 0.85) {
-        // Warm (slightly yellow/orange)
-        colors[i * 3] = 1.0;
-        colors[i * 3 + 1] = 0.85 + Math.random() * 0.1;
-        colors[i * 3 + 2] = 0.7 + Math.random() * 0.15;
-      } else {
-        // Cool (blue-ish)
-        colors[i * 3] = 0.7 + Math.random() * 0.15;
-        colors[i * 3 + 1] = 0.8 + Math.random() * 0.1;
-        colors[i * 3 + 2] = 1.0;
-      }
-    }
+  function createCelestialSphere(scene) {
+    state.celestial = new Group();
+    scene.add(state.celestial);
+  }
+
+  function createStarField() {
+    fetch(CONFIG.STAR_CATALOG)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(({ stars }) => {
+        const positions = new Float32Array(stars.length * 3);
+        const sizes = new Float32Array(stars.length);
+        const colors = new Float32Array(stars.length * 3);
+
+        stars.forEach(([ra, dec, mag, bv], i) => {
+          positions.set(celestialPosition(ra, dec, CONFIG.STAR_FIELD_RADIUS), i * 3);
+          // Point size and brightness both follow magnitude — Sirius ~8 px, the faintest 1 px
+          const strength = (CONFIG.STAR_MAG_LIMIT - mag) / (CONFIG.STAR_MAG_LIMIT + 1.5);
+          sizes[i] = 1 + 7 * strength;
+          const color = starColor(bv);
+          const brightness = 0.45 + 0.55 * strength;
+          colors[i * 3] = color[0] * brightness;
+          colors[i * 3 + 1] = color[1] * brightness;
+          colors[i * 3 + 2] = color[2] * brightness;
+        });
+
+        const geometry = new BufferGeometry();
+        geometry.setAttribute('position', new BufferAttribute(positions, 3));
+        geometry.setAttribute('size', new BufferAttribute(sizes, 1));
+        geometry.setAttribute('color', new BufferAttribute(colors, 3));
+
+        const material = new ShaderMaterial({
+          uniforms: { pixelRatio: { value: state.globe.renderer().getPixelRatio() } },
+          vertexShader: STAR_SHADER.vertexShader,
+          fragmentShader: STAR_SHADER.fragmentShader,
+          vertexColors: true,
+          transparent: true,
+          depthWrite: false,
+        });
 
-    const geometry = new BufferGeometry();
-    geometry.setAttribute('position', new BufferAttribute(positions, 3));
-    geometry.setAttribute('size', new BufferAttribute(sizes, 1));
-    geometry.setAttribute('color', new BufferAttribute(colors, 3));
+        state.starField = new Points(geometry, material);
+        state.celestial.add(state.starField);
+      })
+      .catch(err => {
+        console.warn('Star catalog failed to load:', err);
+      });
+  }
+
+  // RA/Dec (degrees) on the sky sphere — globe.gl's lat/lng convention, so GMST is the only turn needed
+  function celestialPosition(ra, dec, radius) {
+    const toRad = Math.PI / 180;
+    return [
+      radius * Math.cos(dec * toRad) * Math.sin(ra * toRad),
+      radius * Math.sin(dec * toRad),
+      radius * Math.cos(dec * toRad) * Math.cos(ra * toRad),
+    ];
+  }
+
+  // B-V color index -> RGB, interpolated along STAR_COLORS
+  function starColor(bv) {
+    if (bv === null) return [1, 1, 1];
+    const stops = STAR_COLORS;
+    const x = Math.max(stops[0][0], Math.min(stops[stops.length - 1][0], bv));
+    let i = 1;
+    while (i < stops.length - 1 && stops[i][0] < x) i++;
+    const [x0, c0] = stops[i - 1];
+    const [x1, c1] = stops[i];
+    const t = (x - x0) / (x1 - x0);
+    return [0, 1, 2].map(k => (c0[k] + (c1[k] - c0[k]) * t) / 255);
+  }
+
+  // IAU stick figures as line segments, plus a text sprite per constellation (loaded on first use)
+  function createConstellations() {
+    state.constellations = new Group();
+    state.celestial.add(state.constellations);
+
+    fetch(CONFIG.CONSTELLATION_DATA)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(({ constellations }) => {
+        const group = state.constellations;
+        const vertices = [];
+        const radius = CONFIG.STAR_FIELD_RADIUS * 0.995;
+
+        constellations.forEach(c => {
+          c.lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+              vertices.push(...celestialPosition(...line[i - 1], radius), ...celestialPosition(...line[i], radius));
+            }
+          });
+          group.add(createConstellationLabel(c, radius));
+        });
+
+        const geometry = new BufferGeometry();
+        geometry.setAttribute('position', new BufferAttribute(new Float32Array(vertices), 3));
+        group.add(new LineSegments(geometry, new LineBasicMaterial({
+          color: 0x00e5ff,
+          transparent: true,
+          opacity: 0.22,
+          depthWrite: false,
+        })));
+      })
+      .catch(err => {
+        console.warn('Constellation data failed to load:', err);
+      });
+  }
 
-    const material = new PointsMaterial({
-      size: 1.2,
-      sizeAttenuation: true,
-      vertexColors: true,
+  function createConstellationLabel(constellation, radius) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+    ctx.font = '20px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#00e5ff';
+    ctx.fillText(constellation.name.toUpperCase(), 128, 16);
+
+    const sprite = new Sprite(new SpriteMaterial({
+      map: new CanvasTexture(canvas),
       transparent: true,
-      opacity: 0.85,
+      opacity: constellation.rank === 1 ? 0.55 : 0.3, // rank 1 = the well-known figures
       depthWrite: false,
-    });
+    }));
+    sprite.scale.set(128, 16, 1);
+    sprite.position.set(...celestialPosition(constellation.ra, constellation.dec, radius));
+    return sprite;
+  }
 
-    state.starField = new Points(geometry, material);
-    state.starField.matrixAutoUpdate = false;
-    scene.add(state.starField);
+  function updateConstellations() {
+    if (!state.celestial) return;
+    if (!state.constellations && state.overlays.constellations) createConstellations();
+    if (state.constellations) state.constellations.visible = !!state.overlays.constellations;
   }
 
   // ============================================
@@ -269,16 +469,18 @@ import {
     scene.add(state.fresnelMesh);
   }
 
-  // --- ISS HTML Label ---
-  function createISSLabel() {
+  // --- Satellite HTML Label (one per catalog object) ---
+  function createSatLabel(sat) {
     // We'll use globe.gl's htmlElementsData to attach an HTML label
     const labelEl = document.createElement('div');
     labelEl.className = 'iss-label';
+    labelEl.style.setProperty('--sat-color', sat.color);
     labelEl.innerHTML = `
-      <div class="iss-label__tag">ISS</div>
-      <div class="iss-label__location" id="iss-label-location">Tracking...</div>
+      <div class="iss-label__tag"></div>
+      <div class="iss-label__location">Tracking...</div>
     `;
-    state.issLabel = labelEl;
+    // Labels of imported objects are user text
+    labelEl.querySelector('.iss-label__tag').textContent = sat.label;
     return labelEl;
   }
 
@@ -288,9 +490,6 @@ import {
     const height = DOM.globeEl.offsetHeight;
     const loader = new TextureLoader();
 
-    // Create ISS label
-    const issLabelEl = createISSLabel();
-
     // Load textures
     Promise.all([
       loader.loadAsync(CONFIG.DAY_TEXTURE),
@@ -318,12 +517,13 @@ import {
         .atmosphereAltitude(0.18)
         .globeMaterial(state.globeMaterial)
         .bumpImageUrl(CONFIG.GLOBE_BUMP)
-        // ISS Point (kept as fallback, small)
-        .pointsData(state.issData)
+        // Satellite points (kept as fallback, small)
+        .pointsData([])
         .pointAltitude('alt')
-        .pointColor(() => '#00e5ff')
+        .pointColor('color')
         .pointRadius(0.3)
-        .pointsMerge(true)
+        .pointsMerge(false) // markers move every frame; merging would rebuild geometry
+        .pointsTransitionDuration(0)
         // ENHANCEMENT 5: Enhanced Rings
         .ringsData(state.ringsData)
         .ringLat('lat')
@@ -336,17 +536,40 @@ import {
         .pathsData([])
         .pathPointLat(p => p[0])
         .pathPointLng(p => p[1])
-        .pathColor(() => ['rgba(0, 229, 255, 0)', 'rgba(0, 229, 255, 0.85)'])
-        .pathStroke(2.5)
-        .pathDashLength(0.01)
-        .pathDashGap(0)
+        .pathColor('color')
+        .pathStroke('stroke')
+        .pathDashLength('dashLength')
+        .pathDashGap('dashGap')
         .pathDashAnimateTime(0)
-        // ISS HTML Label
-        .htmlElementsData([{ lat: 0, lng: 0, alt: 0.08, labelEl: issLabelEl }])
+        // Ground track time ticks
+        .labelsData([])
+        .labelLat('lat')
+        .labelLng('lng')
+        .labelText('text')
+        .labelColor('color')
+        .labelSize(0.45)
+        .labelDotRadius(0.2)
+        .labelAltitude(0.004)
+        .labelResolution(2)
+        // Visibility footprint + observer acquisition circle
+        .polygonsData([])
+        .polygonGeoJsonGeometry('geometry')
+        .polygonCapColor('cap')
+        .polygonSideColor(() => 'rgba(0, 0, 0, 0)')
+        .polygonStrokeColor('stroke')
+        .polygonAltitude('alt')
+        .polygonsTransitionDuration(0)
+        // Satellite HTML Labels
+        .htmlElementsData([])
         .htmlLat('lat')
         .htmlLng('lng')
-        .htmlAltitude('alt')
+        .htmlAltitude('labelAlt')
+        .htmlTransitionDuration(0)
         .htmlElement(d => d.labelEl)
+        // Globe clicks are broadcast — the location manager uses them to pick a site
+        .onGlobeClick(({ lat, lng }) => {
+          document.dispatchEvent(new CustomEvent('orbitwatch:globe-click', { detail: { lat, lng } }));
+        })
         // Track globe rotation for shader
         .onZoom(({ lng, lat }) => {
           if (state.globeMaterial) {
@@ -356,7 +579,7 @@ import {
         (DOM.globeEl);
 
       // Set initial camera angle
-      state.globe.pointOfView({ lat: 20, lng: 0, altitude: 2.5 }, 0);
+      state.globe.pointOfView(state.pendingPov || { lat: 20, lng: 0, altitude: 2.5 }, 0);
 
       // Auto-rotate (slower, more cinematic)
       state.globe.controls().autoRotate = true;
@@ -371,6 +594,7 @@ import {
         state.lastInteractionTime = Date.now();
         state.idleUpdates = 0;
       });
+      controls.addEventListener('end', emitViewChange);
 
       // Phase 2: Cap device pixel ratio for mobile performance
       const renderer = state.globe.renderer();
@@ -382,8 +606,10 @@ import {
         TWO: TOUCH.DOLLY_ROTATE,
       };
 
-      // ENHANCEMENT 1: Add starfield
-      createStarField(state.globe.scene());
+      // ENHANCEMENT 1: Add the sky — catalog stars, constellations when enabled
+      createCelestialSphere(state.globe.scene());
+      createStarField();
+      updateConstellations();
 
       // ENHANCEMENT 2: Add Fresnel glow
       const globeRadius = state.globe.getGlobeRadius();
@@ -407,9 +633,9 @@ import {
       startMasterAnimateLoop();
 
       // Start data fetching
-      fetchISSPosition();
+      updatePositions();
       fetchAstronauts();
-      setInterval(fetchISSPosition, CONFIG.UPDATE_INTERVAL);
+      setInterval(updatePositions, CONFIG.UPDATE_INTERVAL);
       setInterval(fetchAstronauts, 5 * 60 * 1000);
 
       // Hide loading spinner
@@ -458,25 +684,48 @@ import {
     function animate() {
       requestAnimationFrame(animate);
 
-      // 1. Star drift
-      if (state.starField) {
-        state.starField.rotation.y += 0.00003;
-        state.starField.rotation.x += 0.00001;
-        state.starField.updateMatrix();
-      }
-
-      // 2. Cloud rotation
+      // 2. Cloud rotation (follows the simulation play rate)
       if (state.cloudMesh && state.cloudsEnabled) {
-        state.cloudMesh.rotation.y += 0.0001;
+        state.cloudMesh.rotation.y += 0.0001 * clock.rate();
       }
 
-
+      // 3. Satellite positions (SGP4 every frame at simulated time, panel text throttled)
+      const now = Date.now();
+      const simNow = clock.now();
+      propagateAll(new Date(simNow));
+      renderSatellites();
+      if (Math.abs(simNow - state.lastTrailTime) >= CONFIG.UPDATE_INTERVAL) {
+        state.lastTrailTime = simNow;
+        sampleTrails(now);
+      }
+      if (now - state.lastPanelUpdate >= CONFIG.PANEL_UPDATE_INTERVAL) {
+        state.lastPanelUpdate = now;
+        updatePanel();
+        updateEclipses(new Date(simNow));
+      }
+      if (now - state.footprintAt >= CONFIG.FOOTPRINT_REFRESH) {
+        updateFootprint();
+      }
+      if (Math.abs(simNow - state.overlayAt) >= CONFIG.SKY_OVERLAY_REFRESH
+        && now - state.overlayRenderedAt >= CONFIG.FOOTPRINT_REFRESH) {
+        updateSkyOverlays();
+      }
 
       // 4. Sun position update
       if (state.globeMaterial && state.dayNightEnabled) {
-        const sunPos = getSunPosition(Date.now());
+        const sunPos = getSunPosition(simNow);
         state.globeMaterial.uniforms.sunPosition.value.set(sunPos[0], sunPos[1]);
       }
+
+      // 5. Sky sphere follows sidereal time (RA - GMST = longitude); the viewing map slides with the clock unless pinned
+      if (state.celestial) {
+        state.celestial.rotation.y = -ephemeris.gmst(new Date(simNow));
+      }
+      if (state.overlays.meteorMap && !state.meteorFocus
+        && Math.abs(simNow - state.meteorMapAt) >= CONFIG.METEOR_MAP_REFRESH
+        && now - state.meteorMapRenderedAt >= CONFIG.METEOR_MAP_MIN_INTERVAL) {
+        updateViewingMap();
+      }
     }
     animate();
   }
@@ -484,47 +733,174 @@ import {
   // --- Toolbar Toggle Handlers ---
   function setupToolbar() {
     if (DOM.btnDayNight) {
-      DOM.btnDayNight.addEventListener('click', () => {
-        state.dayNightEnabled = !state.dayNightEnabled;
-        DOM.btnDayNight.classList.toggle('active', state.dayNightEnabled);
-        if (state.globeMaterial) {
-          state.globeMaterial.uniforms.dayNightEnabled.value = state.dayNightEnabled ? 1.0 : 0.0;
-        }
-      });
+      DOM.btnDayNight.addEventListener('click', () => setDayNight(!state.dayNightEnabled));
       // Set initial active state
       DOM.btnDayNight.classList.add('active');
     }
 
+    // Terminator / twilight / sub-solar / sub-lunar in the toolbar, radiants / viewing map in the meteor drawer
+    try {
+      Object.assign(state.overlays, JSON.parse(localStorage.getItem('orbitwatch.overlays')));
+    } catch (err) {
+      console.warn('Overlay settings restore failed:', err);
+    }
+    document.querySelectorAll('[data-overlay]').forEach(btn => {
+      const key = btn.dataset.overlay;
+      btn.classList.toggle('active', !!state.overlays[key]);
+      btn.addEventListener('click', () => setOverlay(key, !state.overlays[key]));
+    });
+
     if (DOM.btnClouds) {
-      DOM.btnClouds.addEventListener('click', () => {
-        state.cloudsEnabled = !state.cloudsEnabled;
-        DOM.btnClouds.classList.toggle('active', state.cloudsEnabled);
-        if (state.cloudMesh) {
-          state.cloudMesh.visible = state.cloudsEnabled;
-        }
-      });
+      DOM.btnClouds.addEventListener('click', () => setClouds(!state.cloudsEnabled));
       // Set initial active state
       DOM.btnClouds.classList.add('active');
     }
+
+    // Ground track cycles OFF → 1 → 2 → 3 orbits ahead
+    if (DOM.btnGroundTrack) {
+      const saved = parseInt(localStorage.getItem('orbitwatch.groundTrackOrbits'), 10);
+      if (saved >= 0 && saved <= CONFIG.GROUND_TRACK_MAX_ORBITS) state.groundTrackOrbits = saved;
+
+      DOM.btnGroundTrack.addEventListener('click', () => {
+        setGroundTrackOrbits((state.groundTrackOrbits + 1) % (CONFIG.GROUND_TRACK_MAX_ORBITS + 1));
+      });
+      updateGroundTrackButton();
+    }
+
+    if (DOM.btnFootprint) {
+      state.footprintEnabled = localStorage.getItem('orbitwatch.footprint') !== 'off';
+      DOM.btnFootprint.classList.toggle('active', state.footprintEnabled);
+
+      DOM.btnFootprint.addEventListener('click', () => setFootprint(!state.footprintEnabled));
+    }
   }
 
-  // --- Fetch ISS Position ---
+  function setDayNight(on) {
+    state.dayNightEnabled = on;
+    if (DOM.btnDayNight) DOM.btnDayNight.classList.toggle('active', on);
+    if (state.globeMaterial) {
+      state.globeMaterial.uniforms.dayNightEnabled.value = on ? 1.0 : 0.0;
+    }
+    emitViewChange();
+  }
+
+  function setClouds(on) {
+    state.cloudsEnabled = on;
+    if (DOM.btnClouds) DOM.btnClouds.classList.toggle('active', on);
+    if (state.cloudMesh) {
+      state.cloudMesh.visible = on;
+    }
+    emitViewChange();
+  }
+
+  function setGroundTrackOrbits(orbits) {
+    state.groundTrackOrbits = orbits;
+    localStorage.setItem('orbitwatch.groundTrackOrbits', orbits);
+    updateGroundTrackButton();
+    updateGroundTrack();
+    emitViewChange();
+  }
+
+  function setFootprint(on) {
+    state.footprintEnabled = on;
+    localStorage.setItem('orbitwatch.footprint', on ? 'on' : 'off');
+    if (DOM.btnFootprint) DOM.btnFootprint.classList.toggle('active', on);
+    updateFootprint();
+    emitViewChange();
+  }
+
+  function setOverlay(key, on) {
+    state.overlays[key] = on;
+    document.querySelectorAll(`[data-overlay="${key}"]`).forEach(btn => btn.classList.toggle('active', on));
+    localStorage.setItem('orbitwatch.overlays', JSON.stringify(state.overlays));
+    if (key === 'meteorMap') updateViewingMap();
+    else if (key === 'constellations') updateConstellations();
+    else updateSkyOverlays();
+    emitViewChange();
+  }
+
+  function updateGroundTrackButton() {
+    const orbits = state.groundTrackOrbits;
+    DOM.btnGroundTrack.classList.toggle('active', orbits > 0);
+    if (DOM.groundTrackLabel) DOM.groundTrackLabel.textContent = orbits ? `TRACK ${orbits}×` : 'TRACK';
+  }
+
+  // ============================================
+  //  POSITION SOURCES
+  //  SGP4 propagation of the catalog TLEs is primary and runs every
+  //  animation frame. The HTTP APIs only sanity-check the ISS solution,
+  //  and stand in for it while no TLE is available.
+  // ============================================
+
+  // Propagate every tracked object to `date` (called from the animate loop).
+  // An object SGP4 can't carry to `date` (decayed, or scrubbed out of its
+  // range) is dropped from the globe rather than frozen at its last fix.
+  function propagateAll(date) {
+    catalog.list().forEach(sat => {
+      const pos = catalog.positionAt(sat, date);
+      if (pos) state.positions[sat.id] = pos;
+      else if (sat.satrec) delete state.positions[sat.id];
+    });
+  }
+
+  // Trails sample every UPDATE_INTERVAL of simulated time; while live, the ISS
+  // and the selected object also go to the persistent position log
+  function sampleTrails(now) {
+    catalog.list().forEach(sat => {
+      const pos = state.positions[sat.id];
+      if (pos) addTrailPoint(sat.id, pos.lat, pos.lng);
+    });
+
+    // Logged straight from SGP4 at this instant — an API-fed ISS position
+    // is logged when it arrives (checkPropagation), not re-stamped here
+    if (clock.isLive()) {
+      const date = clock.date();
+      new Set([catalog.ISS_ID, catalog.selected().id]).forEach(id => {
+        const pos = catalog.positionAt(catalog.get(id), date);
+        if (pos) recorder.record(id, pos, date.getTime(), 'sgp4');
+      });
+    }
+
+    if (now - state.lastTrailRender >= CONFIG.TRAIL_RENDER_INTERVAL) {
+      state.lastTrailRender = now;
+      renderTrails();
+    }
+  }
+
+  // Slow tick — camera follow, geocoding and API checks don't need frame rate
+  function updatePositions() {
+    const iss = catalog.get(catalog.ISS_ID);
+    const now = Date.now();
+    // Live APIs only describe the present — skip them while replaying
+    if (clock.isLive() && (!iss.satrec || now - state.lastSanityCheck >= CONFIG.SANITY_CHECK_INTERVAL)) {
+      state.lastSanityCheck = now;
+      fetchISSPosition();
+    }
+
+    if (Math.abs(clock.now() - state.groundTrackAt) >= CONFIG.GROUND_TRACK_REFRESH) {
+      updateGroundTrack();
+    }
+
+    const pos = state.positions[catalog.selected().id];
+    if (pos) {
+      updateGlobe(pos.lat, pos.lng);
+      throttledGeocode(pos.lat, pos.lng);
+    }
+  }
+
+  // --- Fetch ISS Position (sanity check) ---
   async function fetchISSPosition() {
     try {
       const res = await fetch(CONFIG.ISS_API);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
 
-      const lat = parseFloat(data.latitude);
-      const lng = parseFloat(data.longitude);
-      const alt = Math.round(parseFloat(data.altitude));
-      const vel = Math.round(parseFloat(data.velocity));
-
-      updateCoordinates(lat, lng);
-      updateMetrics(alt, vel);
-      updateGlobe(lat, lng);
-      addTrailPoint(lat, lng);
-      throttledGeocode(lat, lng);
+      checkPropagation({
+        lat: parseFloat(data.latitude),
+        lng: parseFloat(data.longitude),
+        altKm: parseFloat(data.altitude),
+        velKmh: parseFloat(data.velocity),
+      }, data.timestamp * 1000);
     } catch (err) {
       console.warn('ISS API fetch failed, trying fallback...', err);
       fetchISSFallback();
@@ -538,18 +914,54 @@ import {
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
 
-      const lat = parseFloat(data.iss_position.latitude);
-      const lng = parseFloat(data.iss_position.longitude);
-
-      updateCoordinates(lat, lng);
-      updateGlobe(lat, lng);
-      addTrailPoint(lat, lng);
-      throttledGeocode(lat, lng);
+      checkPropagation({
+        lat: parseFloat(data.iss_position.latitude),
+        lng: parseFloat(data.iss_position.longitude),
+      }, data.timestamp * 1000);
     } catch (err) {
       console.error('All ISS APIs failed:', err);
     }
   }
 
+  // Compare a live API sample against SGP4 at the same instant
+  function checkPropagation(apiPos, timestamp) {
+    // The fallback API carries no altitude, which a 3-D track can't use
+    if (Number.isFinite(apiPos.altKm)) recorder.record(catalog.ISS_ID, apiPos, timestamp, 'api');
+    const predicted = catalog.positionAt(catalog.get(catalog.ISS_ID), new Date(timestamp));
+
+    if (!predicted) {
+      // No TLE to propagate — the API sample is the position
+      state.positions[catalog.ISS_ID] = apiPos;
+      addTrailPoint(catalog.ISS_ID, apiPos.lat, apiPos.lng);
+      renderTrails();
+      return;
+    }
+
+    state.propagationErrorKm = greatCircleKm(apiPos, predicted);
+    if (state.propagationErrorKm > CONFIG.SANITY_TOLERANCE_KM) {
+      console.warn(`SGP4 ISS position is ${Math.round(state.propagationErrorKm)} km from the live API`);
+    }
+    catalog.reportDivergence(catalog.ISS_ID, state.propagationErrorKm); // flags the TLE and refetches it if needed
+  }
+
+  // Haversine distance on a mean-radius Earth
+  function greatCircleKm(a, b) {
+    const toRad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * toRad;
+    const dLng = (b.lng - a.lng) * toRad;
+    const h = Math.sin(dLat / 2) ** 2
+      + Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // --- Left Panel (selected satellite) ---
+  function updatePanel() {
+    const pos = state.positions[catalog.selected().id];
+    if (!pos) return;
+    updateCoordinates(pos.lat, pos.lng);
+    if (pos.altKm !== undefined) updateMetrics(Math.round(pos.altKm), Math.round(pos.velKmh));
+  }
+
   // --- Update Coordinate Display ---
   function updateCoordinates(lat, lng) {
     const latDir = lat >= 0 ? 'N' : 'S';
@@ -578,35 +990,87 @@ import {
     if (DOM.velocity && DOM.velocity.textContent !== velStr) DOM.velocity.textContent = velStr;
   }
 
-  // --- Update 3D Globe ---
+  // --- Satellite Markers (point + HTML label) ---
+  // One persistent datum per satellite: globe.gl diffs layer data by object
+  // identity, so mutating these in place moves markers without rebuilding them.
+  function getMarker(sat) {
+    if (!state.markers[sat.id]) {
+      state.markers[sat.id] = {
+        lat: 0,
+        lng: 0,
+        alt: 0.06,
+        labelAlt: 0.07,
+        color: sat.color,
+        labelEl: createSatLabel(sat),
+      };
+    }
+    return state.markers[sat.id];
+  }
+
+  function dimColor(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    const channel = shift => Math.round(((n >> shift) & 255) * CONFIG.ECLIPSE_DIM);
+    return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+  }
+
+  // Orbital night — markers dim while their object is in Earth's shadow
+  function updateEclipses(date) {
+    catalog.list().forEach(sat => {
+      const marker = state.markers[sat.id];
+      if (!marker) return;
+      const eclipsed = orbit.sunlit(sat, date) === false;
+      if (marker.eclipsed === eclipsed) return;
+      marker.eclipsed = eclipsed;
+      marker.color = eclipsed ? dimColor(sat.color) : sat.color;
+      marker.labelEl.classList.toggle('iss-label--eclipse', eclipsed);
+    });
+  }
+
+  // Called every frame — positions only
+  function renderSatellites() {
+    if (!state.globe) return;
+    const selectedId = catalog.selected().id;
+
+    const markers = catalog.list().filter(sat => state.positions[sat.id]).map(sat => {
+      const marker = getMarker(sat);
+      marker.lat = state.positions[sat.id].lat;
+      marker.lng = state.positions[sat.id].lng;
+      marker.labelAlt = sat.id === selectedId ? 0.1 : 0.07;
+      return marker;
+    });
+
+    state.globe
+      .pointsData(markers)
+      .htmlElementsData(markers.concat(state.overlayMarkers, state.observerMarker || []));
+  }
+
+  // Label text and styling — on selection, catalog and geocode changes
+  function updateLabels() {
+    const selectedId = catalog.selected().id;
+
+    catalog.list().forEach(sat => {
+      const labelEl = getMarker(sat).labelEl;
+      const tagEl = labelEl.querySelector('.iss-label__tag');
+      const locationEl = labelEl.querySelector('.iss-label__location');
+      if (tagEl.textContent !== sat.label) tagEl.textContent = sat.label;
+      labelEl.classList.toggle('iss-label--secondary', sat.id !== selectedId);
+      // Update label location text
+      if (sat.id === selectedId && state.currentLocation) {
+        locationEl.textContent = state.currentLocation;
+      }
+    });
+  }
+
+  // --- Update 3D Globe (selected satellite) ---
   function updateGlobe(lat, lng) {
     if (!state.globe) return;
 
     state.updateCount++;
 
-    // Update ISS point (kept small as fallback) — reuse array
-    state.issData[0] = { lat, lng, alt: 0.06 };
-    state.globe.pointsData(state.issData);
-
     // Update ring pulse — reuse array
     state.ringsData[0] = { lat, lng };
     state.globe.ringsData(state.ringsData);
 
-
-
-    // Update HTML label position
-    state.globe.htmlElementsData([{
-      lat, lng,
-      alt: 0.1,
-      labelEl: state.issLabel,
-    }]);
-
-    // Update label location text
-    const labelLoc = document.getElementById('iss-label-location');
-    if (labelLoc && state.currentLocation) {
-      labelLoc.textContent = state.currentLocation;
-    }
-
     // ENHANCEMENT 6: Smart camera follow
     const timeSinceInteraction = Date.now() - state.lastInteractionTime;
     const userIdle = timeSinceInteraction > 15000; // 15 seconds of no interaction
@@ -624,35 +1088,567 @@ import {
     }
   }
 
-  // --- Orbit Trail ---
-  function addTrailPoint(lat, lng) {
-    state.trailPoints.push([lat, lng]);
+  // ============================================
+  //  VIEW STATE
+  //  Camera and layer toggles, read and restored by share.js for deep links
+  // ============================================
+  function emitViewChange() {
+    document.dispatchEvent(new CustomEvent('orbitwatch:view-change'));
+  }
 
-    if (state.trailPoints.length > CONFIG.TRAIL_MAX) {
-      state.trailPoints.shift();
+  function getView() {
+    return {
+      pov: state.globe ? state.globe.pointOfView() : state.pendingPov,
+      dayNight: state.dayNightEnabled,
+      clouds: state.cloudsEnabled,
+      groundTrack: state.groundTrackOrbits,
+      footprint: state.footprintEnabled,
+      overlays: { ...state.overlays },
+    };
+  }
+
+  // Apply any subset of getView(); a restored camera counts as the user's own,
+  // so the follow logic leaves it alone until they go idle
+  function setView(view) {
+    if (view.dayNight !== undefined && view.dayNight !== state.dayNightEnabled) setDayNight(view.dayNight);
+    if (view.clouds !== undefined && view.clouds !== state.cloudsEnabled) setClouds(view.clouds);
+    if (view.footprint !== undefined && view.footprint !== state.footprintEnabled) setFootprint(view.footprint);
+    if (view.groundTrack !== undefined && view.groundTrack !== state.groundTrackOrbits
+      && view.groundTrack >= 0 && view.groundTrack <= CONFIG.GROUND_TRACK_MAX_ORBITS) {
+      setGroundTrackOrbits(view.groundTrack);
+    }
+    Object.entries(view.overlays || {}).forEach(([key, on]) => {
+      if (key in state.overlays && !!state.overlays[key] !== on) setOverlay(key, on);
+    });
+
+    if (view.pov) {
+      if (state.globe) state.globe.pointOfView(view.pov, CONFIG.CAMERA_FOLLOW_TRANSITION);
+      else state.pendingPov = view.pov;
+      state.userInteracted = true;
+      state.lastInteractionTime = Date.now();
+      state.idleUpdates = 0;
+      state.updateCount = Math.max(state.updateCount, 2);
     }
+  }
+
+  window.OrbitWatch.view = {
+    get: getView,
+    set: setView,
+  };
 
-    // Update path on globe — split at antimeridian crossings
-    if (state.globe && state.trailPoints.length >= 2) {
-      const segments = [];
-      let currentSeg = [state.trailPoints[0]];
+  // --- Orbit Trails (one per satellite) ---
+  function addTrailPoint(id, lat, lng) {
+    const trail = state.trails[id] || (state.trails[id] = []);
+    trail.push([lat, lng]);
 
-      for (let i = 1; i < state.trailPoints.length; i++) {
-        const prevLng = state.trailPoints[i - 1][1];
-        const currLng = state.trailPoints[i][1];
-        // Detect antimeridian crossing (longitude jump > 180°)
-        if (Math.abs(currLng - prevLng) > 180) {
-          segments.push({ coords: currentSeg });
-          currentSeg = [];
-        }
-        currentSeg.push(state.trailPoints[i]);
+    if (trail.length > CONFIG.TRAIL_MAX) {
+      trail.shift();
+    }
+  }
+
+  function renderTrails() {
+    if (!state.globe) return;
+
+    const segments = [];
+    catalog.list().forEach(sat => {
+      const trail = state.trails[sat.id];
+      if (trail && trail.length >= 2) {
+        splitAtAntimeridian(trail).forEach(coords => segments.push({
+          coords,
+          color: [hexToRgba(sat.color, 0), hexToRgba(sat.color, 0.85)],
+          stroke: 2.5,
+          dashLength: 0.01,
+          dashGap: 0,
+        }));
+      }
+    });
+
+    // Past orbit solid and faint, forecast dashed (~1 min dashes)
+    const track = state.groundTrack;
+    if (track) {
+      splitAtAntimeridian(track.past).forEach(coords => segments.push({
+        coords,
+        color: hexToRgba(track.color, 0.3),
+        stroke: 1,
+        dashLength: 1,
+        dashGap: 0,
+      }));
+      splitAtAntimeridian(track.future).forEach(coords => segments.push({
+        coords,
+        color: hexToRgba(track.color, 0.6),
+        stroke: 1,
+        dashLength: 2 / coords.length,
+        dashGap: 2 / coords.length,
+      }));
+    }
+
+    state.globe.pathsData(segments).pathPoints('coords');
+  }
+
+  // ============================================
+  //  GROUND TRACK
+  //  Selected satellite's last orbit (back-filled from the TLE) and the
+  //  next N orbits, with a time tick every GROUND_TRACK_TICK_MIN minutes.
+  // ============================================
+  function computeGroundTrack(sat, date, orbits) {
+    const periodMs = (2 * Math.PI / sat.satrec.no) * 60000; // mean motion is rad/min
+    const stepMs = CONFIG.GROUND_TRACK_STEP * 1000;
+    const tickMs = CONFIG.GROUND_TRACK_TICK_MIN * 60000;
+    const t0 = date.getTime();
+
+    const sample = (from, to) => {
+      const points = [];
+      for (let t = from; t <= to; t += stepMs) {
+        const pos = catalog.positionAt(sat, new Date(t));
+        if (pos) points.push([pos.lat, pos.lng]);
+      }
+      return points;
+    };
+
+    const ticks = [];
+    for (let t = Math.ceil(t0 / tickMs) * tickMs; t <= t0 + orbits * periodMs; t += tickMs) {
+      const pos = catalog.positionAt(sat, new Date(t));
+      if (!pos) continue;
+      ticks.push({
+        lat: pos.lat,
+        lng: pos.lng,
+        text: new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        color: hexToRgba(sat.color, 0.75),
+      });
+    }
+
+    return {
+      color: sat.color,
+      past: sample(t0 - periodMs, t0),
+      future: sample(t0, t0 + orbits * periodMs),
+      ticks,
+    };
+  }
+
+  function updateGroundTrack() {
+    if (!state.globe) return;
+    const sat = catalog.selected();
+
+    state.groundTrackAt = clock.now();
+    state.groundTrack = sat.satrec && state.groundTrackOrbits > 0
+      ? computeGroundTrack(sat, clock.date(), state.groundTrackOrbits)
+      : null;
+
+    state.globe.labelsData(state.groundTrack ? state.groundTrack.ticks : []);
+    renderTrails();
+  }
+
+  // Split a lat/lng polyline wherever it crosses the antimeridian
+  function splitAtAntimeridian(points) {
+    const segments = [];
+    let currentSeg = [points[0]];
+
+    for (let i = 1; i < points.length; i++) {
+      const prevLng = points[i - 1][1];
+      const currLng = points[i][1];
+      // Detect antimeridian crossing (longitude jump > 180°)
+      if (Math.abs(currLng - prevLng) > 180) {
+        segments.push(currentSeg);
+        currentSeg = [];
+      }
+      currentSeg.push(points[i]);
+    }
+    segments.push(currentSeg);
+    return segments;
+  }
+
+  // ============================================
+  //  VISIBILITY FOOTPRINT
+  //  Horizon circle of the selected satellite for the pass minimum
+  //  elevation, and the matching acquisition circle around the observer.
+  //  The altitude is the SGP4 one (or the live API sample when there is
+  //  no TLE), so the footprint breathes with the orbit's eccentricity.
+  // ============================================
+
+  // Earth central angle (deg) from the sub-satellite point to where it sits at minElevation
+  function footprintRadius(altKm, minElevation) {
+    const R = 6371;
+    const el = minElevation * Math.PI / 180;
+    return (Math.acos(R / (R + altKm) * Math.cos(el)) - el) * 180 / Math.PI;
+  }
+
+  // Small circle as a GeoJSON polygon — clockwise, longitudes kept continuous across ±180°.
+  // A circle around a pole runs once around the globe and can't close in
+  // longitude, so its ring starts on the pole side and is closed through the pole.
+  function circlePolygon(lat, lng, radiusDeg) {
+    const toRad = Math.PI / 180;
+    const lat1 = lat * toRad;
+    const d = radiusDeg * toRad;
+    const pole = radiusDeg > 90 - lat ? 90 : radiusDeg > 90 + lat ? -90 : 0;
+    const start = pole < 0 ? 180 : 0;
+    const ring = [];
+
+    for (let bearing = start; bearing <= start + 360; bearing += CONFIG.FOOTPRINT_STEP_DEG) {
+      const b = bearing * toRad;
+      const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(b));
+      const dLng = Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+      let lng2 = lng + dLng / toRad;
+      const prev = ring[ring.length - 1];
+      if (prev) lng2 += Math.round((prev[0] - lng2) / 360) * 360;
+      ring.push([lng2, lat2 / toRad]);
+    }
+
+    if (pole) {
+      const first = ring[0];
+      ring.pop();
+      ring.push([ring[ring.length - 1][0], pole], [first[0], pole], first);
+    }
+    return { type: 'Polygon', coordinates: [ring] };
+  }
+
+  function createObserverLabel() {
+    const labelEl = document.createElement('div');
+    labelEl.className = 'observer-marker';
+    labelEl.innerHTML = `
+      <span class="observer-marker__dot"></span>
+      <span class="observer-marker__name"></span>
+    `;
+    return labelEl;
+  }
+
+  function updateFootprint() {
+    state.footprintAt = Date.now();
+    if (!state.globe) return;
+
+    const sat = catalog.selected();
+    const pos = state.positions[sat.id];
+    const observer = locations.current();
+    const passes = window.OrbitWatch.passes; // predictions.js — a classic script, so it ran before this deferred module
+    const minElevation = passes ? passes.settings.minElevation : 10;
+
+    if (!state.footprintEnabled || !pos || pos.altKm === undefined) {
+      state.footprintPolygons = [];
+      state.observerMarker = null;
+      renderPolygons();
+      return;
+    }
+
+    const radius = footprintRadius(pos.altKm, minElevation);
+    const covered = !!observer && greatCircleKm(pos, observer) / 6371 * 180 / Math.PI <= radius;
+    const polygons = [{
+      geometry: circlePolygon(pos.lat, pos.lng, radius),
+      cap: covered ? hexToRgba(sat.color, 0.22) : hexToRgba(sat.color, 0.08),
+      stroke: hexToRgba(sat.color, covered ? 0.9 : 0.45),
+      alt: 0.004,
+    }];
+
+    if (observer) {
+      polygons.push({
+        geometry: circlePolygon(observer.lat, observer.lng, radius),
+        cap: 'rgba(0, 0, 0, 0)',
+        stroke: covered ? 'rgba(255, 193, 7, 0.9)' : 'rgba(245, 245, 245, 0.35)',
+        alt: 0.005,
+      });
+
+      const marker = state.observerMarker || { labelEl: createObserverLabel(), labelAlt: 0.005 };
+      marker.lat = observer.lat;
+      marker.lng = observer.lng;
+      marker.labelEl.classList.toggle('observer-marker--covered', covered);
+      marker.labelEl.querySelector('.observer-marker__name').textContent = covered
+        ? `${observer.name} · ${sat.label} IN VIEW`
+        : observer.name;
+      state.observerMarker = marker;
+    } else {
+      state.observerMarker = null;
+    }
+
+    state.observerCovered = covered;
+    state.footprintPolygons = polygons;
+    renderPolygons();
+  }
+
+  // Footprint and sky overlays share globe.gl's single polygon layer
+  function renderPolygons() {
+    if (!state.globe) return;
+    state.globe.polygonsData(state.overlayPolygons.concat(state.footprintPolygons));
+  }
+
+  // ============================================
+  //  SKY OVERLAYS
+  //  Terminator great circle, twilight bands and the sub-solar /
+  //  sub-lunar points as vector layers at simulated time — independent
+  //  of the day/night shader, so darkness is readable at a glance.
+  // ============================================
+  function getSkyMarker(kind, icon, text) {
+    if (!state.skyMarkers[kind]) {
+      const labelEl = document.createElement('div');
+      labelEl.className = `sky-marker sky-marker--${kind}`;
+      labelEl.innerHTML = `<i class="ph ${icon} sky-marker__icon"></i><span class="sky-marker__text">${text}</span>`;
+      state.skyMarkers[kind] = { lat: 0, lng: 0, labelAlt: 0.01, labelEl };
+    }
+    return state.skyMarkers[kind];
+  }
+
+  function updateSkyOverlays() {
+    state.overlayAt = clock.now();
+    state.overlayRenderedAt = Date.now();
+    if (!state.globe) return;
+
+    const date = clock.date();
+    const sunEq = ephemeris.sunPosition(date);
+    const sun = ephemeris.subPoint(sunEq.ra, sunEq.dec, date);
+    const night = { lat: -sun.lat, lng: sun.lng > 0 ? sun.lng - 180 : sun.lng + 180 };
+    const polygons = [];
+    const markers = [];
+
+    if (state.overlays.twilight) {
+      TWILIGHT_BANDS.forEach(band => polygons.push({
+        geometry: circlePolygon(night.lat, night.lng, 90 - band.depression),
+        cap: band.cap,
+        stroke: 'rgba(120, 140, 255, 0.25)',
+        alt: band.alt,
+      }));
+    }
+    if (state.overlays.terminator) {
+      polygons.push({
+        geometry: circlePolygon(night.lat, night.lng, 90),
+        cap: 'rgba(0, 0, 0, 0)',
+        stroke: 'rgba(255, 193, 7, 0.75)',
+        alt: 0.0035,
+      });
+    }
+    if (state.overlays.subsolar) {
+      markers.push(Object.assign(getSkyMarker('sun', 'ph-sun', 'SUBSOLAR'), sun));
+    }
+    if (state.overlays.sublunar) {
+      const moonEq = ephemeris.moonPosition(date);
+      const marker = Object.assign(getSkyMarker('moon', 'ph-moon', 'SUBLUNAR'), ephemeris.subPoint(moonEq.ra, moonEq.dec, date));
+      marker.labelEl.querySelector('.sky-marker__text').textContent = `MOON ${Math.round(moon.phase(date).fraction * 100)}%`;
+      markers.push(marker);
+    }
+
+    state.overlayPolygons = polygons;
+    state.overlayMarkers = markers;
+    renderPolygons();
+    updateRadiants(date);
+  }
+
+  // ============================================
+  //  METEOR RADIANTS + VIEWING MAP
+  //  Active shower radiants on a sky sphere that the animate loop turns
+  //  with sidereal time, and a heatmap on the globe of where the chosen
+  //  shower's radiant is high while the sky is dark (meteors.viewingGrid).
+  // ============================================
+  // Burst at the radiant, code and current ZHR beside it
+  function drawRadiant(canvas, code, text) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = '#00e5ff';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(32, 32, 9, 0, 2 * Math.PI);
+    for (let i = 0; i < 8; i++) {
+      const a = i * Math.PI / 4;
+      ctx.moveTo(32 + 14 * Math.cos(a), 32 + 14 * Math.sin(a));
+      ctx.lineTo(32 + (i % 2 ? 20 : 28) * Math.cos(a), 32 + (i % 2 ? 20 : 28) * Math.sin(a));
+    }
+    ctx.stroke();
+    ctx.fillStyle = '#f5f5f5';
+    ctx.font = 'bold 26px monospace';
+    ctx.fillText(code, 68, 30);
+    ctx.fillStyle = '#00e5ff';
+    ctx.font = '18px monospace';
+    ctx.fillText(text, 68, 54);
+  }
+
+  function getRadiantSprite(shower) {
+    if (!state.radiantSprites[shower.code]) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 192;
+      canvas.height = 64;
+      const sprite = new Sprite(new SpriteMaterial({
+        map: new CanvasTexture(canvas),
+        transparent: true,
+        depthWrite: false,
+      }));
+      sprite.center.set(32 / 192, 0.5); // anchor on the burst, not the text
+      sprite.scale.set(96, 32, 1);
+      sprite.position.set(...celestialPosition(shower.ra, shower.dec, CONFIG.RADIANT_RADIUS));
+      sprite.userData = { canvas, text: '' };
+      state.celestial.add(sprite);
+      state.radiantSprites[shower.code] = sprite;
+    }
+    return state.radiantSprites[shower.code];
+  }
+
+  function updateRadiants(date) {
+    if (!state.celestial) return;
+    const active = state.overlays.radiants ? meteors.outlook(date, 0).active : [];
+    const codes = active.map(occ => occ.shower.code);
+
+    Object.keys(state.radiantSprites).forEach(code => {
+      if (codes.includes(code)) return;
+      const sprite = state.radiantSprites[code];
+      state.celestial.remove(sprite);
+      sprite.material.map.dispose();
+      sprite.material.dispose();
+      delete state.radiantSprites[code];
+    });
+
+    active.forEach(({ shower }) => {
+      const sprite = getRadiantSprite(shower);
+      const zhr = meteors.zhrAt(shower, date);
+      const text = `ZHR ${zhr < 1 ? '<1' : Math.round(zhr)}`;
+      sprite.material.opacity = zhr >= 10 ? 1 : 0.55;
+      if (sprite.userData.text === text) return;
+      sprite.userData.text = text;
+      drawRadiant(sprite.userData.canvas, shower.code, text);
+      sprite.material.map.needsUpdate = true;
+    });
+  }
+
+  // Equirectangular canvas texture on a shell just above the surface
+  function createViewingMap() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 180;
+    canvas.height = 90;
+    const texture = new CanvasTexture(canvas);
+    const mesh = new Mesh(
+      new SphereGeometry(state.globe.getGlobeRadius() * 1.002, 75, 75),
+      new MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+    );
+    mesh.rotation.y = -Math.PI / 2; // same turn three-globe gives its own sphere, so texture longitudes line up
+    mesh.visible = false;
+    state.globe.scene().add(mesh);
+    state.viewingMap = { canvas, texture, mesh };
+  }
+
+  // Transparent below 5% of the best rate, cyan through to amber at the best spots
+  function paintViewingMap(grid) {
+    const { canvas, texture } = state.viewingMap;
+    canvas.width = grid.cols;
+    canvas.height = grid.rows;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(grid.cols, grid.rows);
+
+    for (let i = 0; i < grid.values.length; i++) {
+      const v = grid.max > 0 ? grid.values[i] / grid.max : 0;
+      if (v < 0.05) continue;
+      image.data[i * 4] = 255 * v;
+      image.data[i * 4 + 1] = 229 - 36 * v;
+      image.data[i * 4 + 2] = 255 - 248 * v;
+      image.data[i * 4 + 3] = 40 + 150 * v;
+    }
+    ctx.putImageData(image, 0, 0);
+    texture.needsUpdate = true;
+  }
+
+  // The shower picked from the meteor drawer, otherwise the strongest one running now
+  function meteorMapTarget() {
+    const focus = state.meteorFocus;
+    const shower = focus && meteors.SHOWERS.find(s => s.code === focus.code);
+    if (shower) return { shower, start: new Date(focus.start) };
+
+    const date = clock.date();
+    const [top] = meteors.outlook(date, 0).active;
+    return top ? { shower: top.shower, start: date } : null;
+  }
+
+  function updateViewingMap() {
+    state.meteorMapAt = clock.now();
+    state.meteorMapRenderedAt = Date.now();
+    if (!state.globe) return;
+    if (!state.viewingMap) createViewingMap();
+
+    const target = state.overlays.meteorMap ? meteorMapTarget() : null;
+    state.viewingMap.mesh.visible = !!target;
+    if (!target) {
+      if (DOM.meteorMapLegend) {
+        DOM.meteorMapLegend.textContent = state.overlays.meteorMap ? 'NO SHOWER ACTIVE — PICK ONE BELOW' : '';
       }
-      segments.push({ coords: currentSeg });
+      return;
+    }
 
-      state.globe.pathsData(segments).pathPoints('coords');
+    const grid = meteors.viewingGrid(target.shower, target.start);
+    paintViewingMap(grid);
+    if (DOM.meteorMapLegend) {
+      const from = target.start.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      DOM.meteorMapLegend.textContent = grid.max >= 1
+        ? `${target.shower.name.toUpperCase()} · 24 H FROM ${from.toUpperCase()} · BEST ~${Math.round(grid.max)}/HR`
+        : `${target.shower.name.toUpperCase()} · NO DARK SKY WITH THE RADIANT UP IN THIS WINDOW`;
     }
   }
 
+  // '#rrggbb' -> 'rgba(r, g, b, a)'
+  function hexToRgba(hex, alpha) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+  }
+
+  // --- Satellite Selection ---
+  function applySelection() {
+    const sat = catalog.selected();
+
+    if (DOM.heroTitle) {
+      DOM.heroTitle.textContent = sat.label;
+      DOM.heroTitle.classList.toggle('hero-title--long', sat.label.length > 6);
+    }
+    if (DOM.heroSubtitle) {
+      DOM.heroSubtitle.textContent = sat.id === catalog.ISS_ID ? sat.name : `NORAD ${sat.id}`;
+    }
+    // Crew roster only applies to the ISS
+    if (DOM.crewPanel) DOM.crewPanel.hidden = sat.id !== catalog.ISS_ID;
+
+    // Fly to the new object and refresh its location text
+    state.updateCount = 0;
+    state.lastGeocode = 0;
+    state.currentLocation = '';
+    if (DOM.location) DOM.location.textContent = 'Calculating...';
+    if (DOM.lat) DOM.lat.textContent = '—';
+    if (DOM.lng) DOM.lng.textContent = '—';
+
+    updateLabels();
+    updatePanel();
+    updateGroundTrack();
+    updateFootprint();
+    const pos = state.positions[sat.id];
+    if (pos) updateGlobe(pos.lat, pos.lng);
+  }
+
+  // --- Time Machine (clock.js) ---
+  function setupClock() {
+    document.addEventListener('orbitwatch:clock-change', e => {
+      if (!e.detail.jumped) return;
+      // Trails recorded before a jump describe a different time — start over
+      state.trails = {};
+      state.lastTrailTime = e.detail.time;
+      updateGroundTrack();
+      updateSkyOverlays();
+      updatePanel();
+      // A shower pinned from the drawer belongs to the old date
+      state.meteorFocus = null;
+      if (state.overlays.meteorMap) updateViewingMap();
+    });
+
+    document.addEventListener('orbitwatch:meteor-focus', e => {
+      state.meteorFocus = e.detail;
+      if (state.overlays.meteorMap) updateViewingMap();
+      else setOverlay('meteorMap', true);
+    });
+  }
+
+  function setupCatalog() {
+    document.addEventListener('orbitwatch:satellite-change', applySelection);
+    document.addEventListener('orbitwatch:catalog-change', () => {
+      // Drop state for objects removed from the catalog
+      Object.keys(state.markers).forEach(id => {
+        if (catalog.get(id)) return;
+        delete state.positions[id];
+        delete state.trails[id];
+        delete state.markers[id];
+      });
+      updateLabels();
+      updateGroundTrack(); // TLEs may have been refreshed
+    });
+    document.addEventListener('orbitwatch:location-change', updateFootprint);
+    applySelection();
+  }
+
   // --- Reverse Geocode (throttled) ---
   function throttledGeocode(lat, lng) {
     const now = Date.now();
@@ -700,6 +1696,7 @@ import {
       if (DOM.location) DOM.location.textContent = approx;
       state.currentLocation = approx;
     }
+    updateLabels();
   }
 
   // --- Approximate location when geocode fails ---
@@ -798,6 +1795,8 @@ import {
   // --- Boot ---
   function init() {
     setupToolbar();
+    setupCatalog();
+    setupClock();
     initGlobe();
   }
 
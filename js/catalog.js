@@ -0,0 +1,442 @@
+/* ============================================
+   ORBITWATCH — Satellite Catalog
+   Tracked Objects · CelesTrak TLE · Selection
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { elements, escapeHTML } = OrbitWatch;
+
+  // =============================================
+  // CATALOG DATA (CelesTrak GP elements)
+  // =============================================
+  const CELESTRAK_GP = 'https://celestrak.org/NORAD/elements/gp.php';
+  const STORAGE_KEY = 'orbitwatch.catalog';
+  const ISS_ID = 25544;
+  const GROUP_LIMIT = 12; // cap group imports so a Starlink train doesn't flood the globe
+  const REFRESH_INTERVAL = 2 * 3600000;      // CelesTrak asks clients not to poll an element set faster
+  const REFRESH_CHECK_INTERVAL = 15 * 60000;
+  const EPOCH_DEGRADED_DAYS = 3;             // SGP4 error grows to several km a few days from epoch
+  const EPOCH_STALE_DAYS = 10;
+  const DIVERGENCE_KM = 50;                  // live position mismatch that signals a maneuver
+  const PALETTE = ['#ff9100', '#b388ff', '#69f0ae', '#ff5252', '#ffd740', '#40c4ff', '#f48fb1', '#eeff41'];
+
+  const PRESETS = [
+    { label: 'TIANGONG', query: { CATNR: 48274 } },
+    { label: 'HUBBLE', query: { CATNR: 20580 } },
+    { label: 'STATIONS', query: { GROUP: 'stations' } },
+    { label: 'STARLINK', query: { GROUP: 'starlink' } },
+    { label: 'WEATHER', query: { GROUP: 'weather' } },
+  ];
+
+  // Standard magnitudes (1000 km, half lit) for pass brightness estimates
+  const STD_MAGNITUDES = {
+    25544: -1.8, // ISS
+    48274: -0.8, // Tiangong
+    20580: 2.2,  // Hubble
+  };
+
+  // NORAD ID -> { id, name, label, color, stdMag, satrec, line1, line2, source, fetchedAt, divergenceKm }
+  // source is 'celestrak' (refreshed on a schedule) or 'custom' (pasted/uploaded, never refetched)
+  const satellites = new Map();
+  let selectedId = ISS_ID;
+  let lastRefreshFailed = false;
+
+  function emit(type, detail) {
+    document.dispatchEvent(new CustomEvent(`orbitwatch:${type}`, { detail }));
+  }
+
+  // Split TLE text into records — handles 2-line and 3-line (named) sets
+  function parseTLE(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const records = [];
+
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (!lines[i].startsWith('1 ') || !lines[i + 1].startsWith('2 ')) continue;
+      const id = elements.catalogNumber(lines[i].substring(2, 7));
+      if (id === null) continue;
+      const prev = i > 0 ? lines[i - 1] : '';
+      const hasName = prev && !prev.startsWith('1 ') && !prev.startsWith('2 ');
+      records.push({
+        id,
+        name: hasName ? prev.replace(/^0 /, '') : null,
+        line1: lines[i],
+        line2: lines[i + 1],
+      });
+      i++;
+    }
+    return records;
+  }
+
+  async function fetchElements(query) {
+    const params = Object.entries(query)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    const res = await fetch(`${CELESTRAK_GP}?${params}&FORMAT=TLE`);
+    if (!res.ok) throw new Error(`TLE fetch HTTP ${res.status}`);
+    const records = parseTLE(await res.text());
+    if (records.length === 0) throw new Error('No element sets found');
+    const fetchedAt = Date.now();
+    return records.map(r => ({ ...r, source: 'celestrak', fetchedAt }));
+  }
+
+  function nextColor() {
+    const used = new Set(list().map(s => s.color));
+    return PALETTE.find(c => !used.has(c)) || PALETTE[satellites.size % PALETTE.length];
+  }
+
+  // Create or refresh a catalog entry from a TLE record
+  function upsert(record, color) {
+    const existing = satellites.get(record.id);
+    const sat = existing || {
+      id: record.id,
+      name: record.name || `NORAD ${record.id}`,
+      label: record.name || `NORAD ${record.id}`,
+      color: color || (record.id === ISS_ID ? '#00e5ff' : nextColor()),
+      stdMag: STD_MAGNITUDES[record.id] ?? null,
+      satrec: null,
+    };
+
+    if (record.id === ISS_ID) {
+      sat.label = 'ISS';
+      sat.name = 'INTERNATIONAL SPACE STATION';
+    } else if (record.name) {
+      sat.name = record.name;
+      sat.label = record.name;
+    }
+
+    if (record.line1 && record.line2) {
+      if (record.line1 !== sat.line1) sat.divergenceKm = null; // new elements, new comparison
+      sat.line1 = record.line1;
+      sat.line2 = record.line2;
+      sat.satrec = satellite.twoline2satrec(record.line1, record.line2);
+      sat.fetchedAt = record.fetchedAt || null;
+      sat.source = record.source || sat.source || 'celestrak';
+    }
+
+    satellites.set(sat.id, sat);
+    return sat;
+  }
+
+  function list() {
+    return Array.from(satellites.values());
+  }
+
+  function get(id) {
+    return satellites.get(Number(id)) || null;
+  }
+
+  function selected() {
+    return satellites.get(selectedId) || satellites.get(ISS_ID);
+  }
+
+  function select(id) {
+    const sat = get(id);
+    if (!sat || sat.id === selectedId) return;
+    selectedId = sat.id;
+    save();
+    emit('satellite-change', sat);
+  }
+
+  // Add a NORAD ID or CelesTrak group — resolves with the newly added entries
+  async function add(query) {
+    const records = await fetchElements(query);
+    const added = records.slice(0, GROUP_LIMIT).map(r => upsert(r));
+    save();
+    emit('catalog-change', list());
+    return added;
+  }
+
+  // Add already-validated records from OrbitWatch.elements (paste / upload)
+  function importRecords(records) {
+    const importedAt = Date.now();
+    const added = records.map(r => upsert({ ...r, source: 'custom', fetchedAt: importedAt }));
+    save();
+    emit('catalog-change', list());
+    return added;
+  }
+
+  function remove(id) {
+    const sat = get(id);
+    if (!sat || sat.id === ISS_ID) return; // the ISS is the anchor object and always stays
+    satellites.delete(sat.id);
+    if (selectedId === sat.id) {
+      selectedId = ISS_ID;
+      emit('satellite-change', selected());
+    }
+    save();
+    emit('catalog-change', list());
+  }
+
+  // Geodetic position and inertial speed from SGP4
+  function positionAt(sat, date) {
+    if (!sat || !sat.satrec) return null;
+    const posVel = satellite.propagate(sat.satrec, date);
+    if (!posVel || !posVel.position || !posVel.velocity) return null;
+
+    const gmst = satellite.gstime(date);
+    const geo = satellite.eciToGeodetic(posVel.position, gmst);
+    const v = posVel.velocity;
+    return {
+      lat: satellite.degreesLat(geo.latitude),
+      lng: satellite.degreesLong(geo.longitude),
+      altKm: geo.height,
+      velKmh: Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) * 3600,
+    };
+  }
+
+  // --- Element set health ---
+  function epochOf(sat) {
+    if (!sat || !sat.satrec) return null;
+    const jd = sat.satrec.jdsatepoch + (sat.satrec.jdsatepochF || 0);
+    return new Date((jd - 2440587.5) * 864e5);
+  }
+
+  // How far `at` (ms, defaults to now) is from the epoch, and what that does to accuracy
+  function health(sat, at = Date.now()) {
+    const epoch = epochOf(sat);
+    if (!epoch) return { level: 'none', epoch: null, ageDays: null, fetchedAt: null, divergenceKm: null, offline: lastRefreshFailed };
+
+    const ageDays = Math.abs(at - epoch.getTime()) / 864e5;
+    const diverged = (sat.divergenceKm ?? 0) > DIVERGENCE_KM;
+    let level = 'ok';
+    if (ageDays > EPOCH_DEGRADED_DAYS) level = 'degraded';
+    if (ageDays > EPOCH_STALE_DAYS || diverged) level = 'stale';
+
+    return {
+      level,
+      epoch,
+      ageDays,
+      fetchedAt: sat.fetchedAt || null,
+      divergenceKm: sat.divergenceKm ?? null,
+      offline: lastRefreshFailed,
+    };
+  }
+
+  // Live position check from app.js — a large miss usually means a reboost the TLE predates
+  function reportDivergence(id, km) {
+    const sat = get(id);
+    if (!sat) return;
+    sat.divergenceKm = km;
+    if (km > DIVERGENCE_KM && sat.source !== 'custom' && (!sat.fetchedAt || Date.now() - sat.fetchedAt > REFRESH_CHECK_INTERVAL)) {
+      refresh({ ids: [sat.id], force: true });
+    }
+    renderWarning();
+  }
+
+  // Refetch element sets older than REFRESH_INTERVAL — a failed fetch keeps the cached one.
+  // Custom sets are left alone: CelesTrak may not know the object, or would overwrite the import.
+  async function refresh({ ids = null, force = false } = {}) {
+    const due = list().filter(sat =>
+      sat.source !== 'custom'
+      && (!ids || ids.includes(sat.id))
+      && (force || !sat.fetchedAt || Date.now() - sat.fetchedAt > REFRESH_INTERVAL)
+    );
+    if (due.length === 0) return false;
+
+    const results = await Promise.all(due.map(sat =>
+      fetchElements({ CATNR: sat.id })
+        .then(records => {
+          upsert(records[0]);
+          return true;
+        })
+        .catch(err => {
+          console.warn(`TLE fetch failed for ${sat.id}, keeping cached set:`, err);
+          return false;
+        })
+    ));
+
+    lastRefreshFailed = results.includes(false);
+    const updated = results.includes(true);
+    if (updated) {
+      save();
+      emit('catalog-change', list());
+    }
+    renderWarning();
+    return updated;
+  }
+
+  // --- Persistence (TLE lines are kept so propagation works offline) ---
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        selectedId,
+        satellites: list().map(s => ({
+          id: s.id,
+          name: s.name,
+          color: s.color,
+          line1: s.line1,
+          line2: s.line2,
+          source: s.source,
+          fetchedAt: s.fetchedAt,
+        })),
+      }));
+    } catch (err) {
+      console.warn('Catalog save failed:', err);
+    }
+  }
+
+  function restore() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!saved || !Array.isArray(saved.satellites)) return;
+      saved.satellites.forEach(s => upsert(s, s.color));
+      if (satellites.has(saved.selectedId)) selectedId = saved.selectedId;
+    } catch (err) {
+      console.warn('Catalog restore failed:', err);
+    }
+  }
+
+  async function load() {
+    upsert({ id: ISS_ID });
+    restore();
+
+    // Only element sets past REFRESH_INTERVAL are refetched; the rest come from cache
+    const updated = await refresh();
+    if (!updated) emit('catalog-change', list());
+  }
+
+  const ready = load();
+
+  setInterval(refresh, REFRESH_CHECK_INTERVAL);
+  window.addEventListener('online', () => refresh());
+
+  OrbitWatch.catalog = {
+    ISS_ID,
+    PRESETS,
+    ready,
+    list,
+    get,
+    selected,
+    select,
+    add,
+    importRecords,
+    remove,
+    positionAt,
+    refresh,
+    health,
+    reportDivergence,
+  };
+
+  // =============================================
+  // SATELLITES DRAWER
+  // =============================================
+  const listEl = document.getElementById('sat-list');
+  const statusEl = document.getElementById('catalog-status');
+  const addForm = document.getElementById('sat-add-form');
+  const addInput = document.getElementById('sat-add-input');
+  const presetsEl = document.getElementById('sat-presets');
+  const warningEl = document.getElementById('tle-warning');
+
+  function formatAge(days) {
+    return days < 1 ? `${Math.round(days * 24)} H` : `${days.toFixed(1)} D`;
+  }
+
+  // Epoch-age / divergence banner for the selected satellite, judged at the simulated time
+  function renderWarning() {
+    if (!warningEl) return;
+    const sat = selected();
+    const at = OrbitWatch.clock ? OrbitWatch.clock.now() : Date.now();
+    const h = health(sat, at);
+
+    let text = '';
+    if (h.level === 'none') {
+      text = 'NO ORBITAL ELEMENTS';
+    } else if (h.divergenceKm > DIVERGENCE_KM) {
+      text = `${Math.round(h.divergenceKm)} KM OFF LIVE POSITION — LIKELY MANEUVER, ${sat.source === 'custom' ? 'IMPORT A NEWER SET' : 'REFRESHING TLE'}`;
+    } else if (h.level !== 'ok') {
+      text = `TLE EPOCH ${formatAge(h.ageDays)} AWAY — ${h.level === 'stale' ? 'POSITIONS UNRELIABLE' : 'DEGRADED ACCURACY'}`;
+    }
+    if (text && h.offline && sat.source !== 'custom') text += ' · OFFLINE, USING CACHED SET';
+
+    warningEl.hidden = !text;
+    warningEl.textContent = text ? `⚠ ${text}` : '';
+    warningEl.classList.toggle('tle-warning--stale', h.level === 'stale' || h.level === 'none');
+  }
+
+  function formatEpoch(sat) {
+    const h = health(sat);
+    if (h.level === 'none') return '<span class="sat-card__epoch--stale">NO TLE</span>';
+    const cls = h.level === 'ok' ? '' : `sat-card__epoch--${h.level}`;
+    return `<span class="${cls}" title="Epoch ${h.epoch.toISOString()}">EPOCH ${formatAge(h.ageDays)} OLD</span>`;
+  }
+
+  function renderList() {
+    if (!listEl) return;
+    const current = selected();
+
+    listEl.innerHTML = list().map(sat => `
+      <div class="sat-card ${sat === current ? 'sat-card--selected' : ''}" data-sat-id="${sat.id}"
+        style="--sat-color: ${sat.color}">
+        <span class="sat-card__swatch"></span>
+        <div class="sat-card__info">
+          <span class="sat-card__name">${escapeHTML(sat.label)}</span>
+          <span class="sat-card__id">NORAD ${sat.id} · ${sat.source === 'custom' ? 'CUSTOM · ' : ''}${formatEpoch(sat)}</span>
+        </div>
+        ${sat === current
+          ? '<span class="sat-card__tag">TRACKING</span>'
+          : '<button class="sat-card__btn" data-action="select">TRACK</button>'}
+        ${sat.id === ISS_ID ? '' : '<button class="sat-card__remove" data-action="remove" aria-label="Remove">×</button>'}
+      </div>
+    `).join('');
+  }
+
+  async function addFromUI(query, label) {
+    if (statusEl) statusEl.textContent = `ADDING ${label}…`;
+    try {
+      const added = await add(query);
+      if (statusEl) statusEl.textContent = `ADDED ${added.length} OBJECT${added.length === 1 ? '' : 'S'}`;
+      if (added.length === 1) select(added[0].id);
+    } catch (err) {
+      console.warn('Catalog add failed:', err);
+      if (statusEl) statusEl.textContent = `COULD NOT FIND ${label}`;
+    }
+  }
+
+  if (listEl) {
+    listEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-action]');
+      const card = e.target.closest('[data-sat-id]');
+      if (!btn || !card) return;
+      if (btn.dataset.action === 'select') select(card.dataset.satId);
+      if (btn.dataset.action === 'remove') remove(card.dataset.satId);
+    });
+  }
+
+  if (addForm && addInput) {
+    addForm.addEventListener('submit', e => {
+      e.preventDefault();
+      const id = parseInt(addInput.value, 10);
+      if (!id) return;
+      addInput.value = '';
+      addFromUI({ CATNR: id }, `NORAD ${id}`);
+    });
+  }
+
+  if (presetsEl) {
+    presetsEl.innerHTML = PRESETS.map((p, i) =>
+      `<button class="sat-preset" data-preset="${i}">${p.label}</button>`
+    ).join('');
+    presetsEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-preset]');
+      if (!btn) return;
+      const preset = PRESETS[btn.dataset.preset];
+      addFromUI(preset.query, preset.label);
+    });
+  }
+
+  function renderAll() {
+    renderList();
+    renderWarning();
+    if (statusEl && lastRefreshFailed) statusEl.textContent = 'OFFLINE — USING CACHED ELEMENTS';
+  }
+
+  document.addEventListener('orbitwatch:catalog-change', renderAll);
+  document.addEventListener('orbitwatch:satellite-change', renderAll);
+  document.addEventListener('orbitwatch:clock-change', renderWarning);
+  setInterval(renderAll, 60000); // epochs age while the page is open
+  renderAll();
+
+})();
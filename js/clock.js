@@ -0,0 +1,174 @@
+/* ============================================
+   ORBITWATCH — Simulation Clock
+   Time Machine · Play Rate · Timeline Scrubber
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+
+  // =============================================
+  // CLOCK — simulated time = anchor + elapsed real time × rate
+  // =============================================
+  const SCRUB_RANGE_MIN = 48 * 60; // scrubber spans ±48 h around real time
+  const LIVE_TOLERANCE_MS = 2000;
+
+  let anchorReal = Date.now();
+  let anchorSim = anchorReal;
+  let rate = 1;
+  let resumeRate = 1; // rate to restore when un-pausing
+
+  function now() {
+    return anchorSim + (Date.now() - anchorReal) * rate;
+  }
+
+  function date() {
+    return new Date(now());
+  }
+
+  function getRate() {
+    return rate;
+  }
+
+  function isLive() {
+    return rate === 1 && Math.abs(now() - Date.now()) < LIVE_TOLERANCE_MS;
+  }
+
+  // `jumped` tells listeners the timeline was discontinuous (trails are invalid)
+  function emit(jumped) {
+    document.dispatchEvent(new CustomEvent('orbitwatch:clock-change', {
+      detail: { time: now(), rate, live: isLive(), jumped },
+    }));
+  }
+
+  function setRate(newRate) {
+    anchorSim = now();
+    anchorReal = Date.now();
+    rate = newRate;
+    if (newRate !== 0) resumeRate = newRate;
+    emit(false);
+  }
+
+  function pause() {
+    setRate(0);
+  }
+
+  function play() {
+    setRate(resumeRate);
+  }
+
+  function seek(time) {
+    anchorSim = time;
+    anchorReal = Date.now();
+    emit(true);
+  }
+
+  function goLive() {
+    anchorReal = anchorSim = Date.now();
+    rate = resumeRate = 1;
+    emit(true);
+  }
+
+  OrbitWatch.clock = {
+    now,
+    date,
+    rate: getRate,
+    isLive,
+    setRate,
+    pause,
+    play,
+    seek,
+    goLive,
+  };
+
+  // =============================================
+  // TIMELINE BAR
+  // =============================================
+  const timelineEl = document.getElementById('timeline');
+  const scrubber = document.getElementById('timeline-scrubber');
+  const timeEl = document.getElementById('timeline-time');
+  const offsetEl = document.getElementById('timeline-offset');
+  const navStatus = document.querySelector('.nav__status');
+  const navLabel = document.querySelector('.nav__label');
+  let scrubbing = false;
+
+  function formatOffset(ms) {
+    const sign = ms < 0 ? '−' : '+';
+    const totalMin = Math.round(Math.abs(ms) / 60000);
+    const h = Math.floor(totalMin / 60);
+    const m = totalMin % 60;
+    return `${sign}${h}H ${String(m).padStart(2, '0')}M`;
+  }
+
+  function renderControls() {
+    if (!timelineEl) return;
+    const magnitude = Math.abs(rate);
+
+    timelineEl.querySelectorAll('[data-rate]').forEach(btn => {
+      btn.classList.toggle('active', Number(btn.dataset.rate) === magnitude);
+    });
+    timelineEl.querySelector('[data-clock="reverse"]').classList.toggle('active', rate < 0);
+    timelineEl.querySelector('[data-clock="pause"]').classList.toggle('active', rate === 0);
+
+    const live = isLive();
+    timelineEl.classList.toggle('timeline--sim', !live);
+    if (navStatus) navStatus.classList.toggle('nav__status--sim', !live);
+    if (navLabel) {
+      navLabel.textContent = live ? 'LIVE' : rate === 0 ? 'PAUSED' : `SIM ${rate}×`;
+    }
+  }
+
+  function renderTime() {
+    const t = now();
+    const offset = t - Date.now();
+
+    if (timeEl) {
+      timeEl.textContent = new Date(t).toLocaleString([], {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit',
+      });
+    }
+    if (offsetEl) offsetEl.textContent = isLive() ? 'NOW' : formatOffset(offset);
+    if (scrubber && !scrubbing) {
+      scrubber.value = Math.max(-SCRUB_RANGE_MIN, Math.min(SCRUB_RANGE_MIN, offset / 60000));
+    }
+    // A replay can drift back into real time — reflect that in the controls
+    if (navLabel && navLabel.textContent !== 'LIVE' && isLive()) renderControls();
+  }
+
+  if (timelineEl) {
+    timelineEl.addEventListener('click', e => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+
+      const direction = rate < 0 || (rate === 0 && resumeRate < 0) ? -1 : 1;
+      if (btn.dataset.rate) setRate(direction * Number(btn.dataset.rate));
+      if (btn.dataset.clock === 'reverse') setRate(-(rate || resumeRate));
+      if (btn.dataset.clock === 'pause') {
+        if (rate === 0) play();
+        else pause();
+      }
+      if (btn.dataset.clock === 'live') goLive();
+    });
+  }
+
+  if (scrubber) {
+    scrubber.min = -SCRUB_RANGE_MIN;
+    scrubber.max = SCRUB_RANGE_MIN;
+    scrubber.addEventListener('pointerdown', () => { scrubbing = true; });
+    scrubber.addEventListener('pointerup', () => { scrubbing = false; });
+    scrubber.addEventListener('input', () => {
+      seek(Date.now() + Number(scrubber.value) * 60000);
+    });
+  }
+
+  document.addEventListener('orbitwatch:clock-change', () => {
+    renderControls();
+    renderTime();
+  });
+
+  renderControls();
+  renderTime();
+  setInterval(renderTime, 250);
+
+})();
@@ -0,0 +1,69 @@
+/* ============================================
+   ORBITWATCH — Database
+   IndexedDB · Shared Object Stores
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+
+  const DB_NAME = 'orbitwatch';
+  const DB_VERSION = 2;
+
+  // Every store the app uses, created on upgrade if it isn't there yet.
+  // v1: tleArchive (history.js) · v2: positions (recorder.js)
+  const STORES = {
+    tleArchive: { keyPath: 'id' },            // { id, sets: [[line1, line2]] } per object
+    positions: { keyPath: ['id', 'time'] },   // one row per sample
+  };
+
+  let dbPromise = null;
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          Object.entries(STORES).forEach(([name, options]) => {
+            if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options);
+          });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run `work(objectStore)` in one transaction; resolves with its return value once committed
+  async function transaction(store, mode, work) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const result = work(tx.objectStore(store));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  OrbitWatch.database = {
+    open,
+    transaction,
+    request,
+  };
+
+})();
@@ -0,0 +1,349 @@
+/* ============================================
+   ORBITWATCH — Element Set Import
+   TLE / 3LE · CCSDS OMM (JSON, XML, KVN) · Dialog
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { escapeHTML } = OrbitWatch;
+
+  // =============================================
+  // TLE VALIDATION
+  // =============================================
+  function checksum(line) {
+    let sum = 0;
+    for (const char of line.slice(0, 68)) {
+      if (char >= '0' && char <= '9') sum += Number(char);
+      else if (char === '-') sum += 1;
+    }
+    return sum % 10;
+  }
+
+  // Problems with one element line, or null when it's well formed
+  function checkLine(line, lineNo) {
+    if (line.length !== 69) return `line ${lineNo} must be 69 characters, got ${line.length}`;
+    const expected = checksum(line);
+    if (Number(line[68]) !== expected) {
+      return `checksum is ${line[68]}, expected ${expected}`;
+    }
+    return null;
+  }
+
+  // Alpha-5 catalog numbers: a leading letter stands for 10–33 (I and O skipped),
+  // so "A1234" is 101234 — the catalog past 99999 in the same five columns
+  const ALPHA5 = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+  const ALPHA5_MAX = (10 + ALPHA5.length) * 10000 - 1;
+
+  // Catalog number columns -> NORAD ID, or null when they hold neither form
+  function catalogNumber(field) {
+    const text = field.trim();
+    if (/^\d{1,5}$/.test(text)) return parseInt(text, 10);
+    const alpha = /^([A-Z])(\d{4})$/.exec(text);
+    if (!alpha || !ALPHA5.includes(alpha[1])) return null;
+    return (10 + ALPHA5.indexOf(alpha[1])) * 10000 + parseInt(alpha[2], 10);
+  }
+
+  function formatCatalogNumber(id) {
+    if (id <= 99999) return String(id).padStart(5, '0');
+    return `${ALPHA5[Math.floor(id / 10000) - 10]}${String(id % 10000).padStart(4, '0')}`;
+  }
+
+  function isElementLine(line, lineNo) {
+    return new RegExp(`^${lineNo} [ 0-9A-Z]{5}`).test(line);
+  }
+
+  // TLE / 3LE text -> { records, errors }; errors carry 1-based input line numbers
+  function parseTLEText(text) {
+    const lines = text.split(/\r?\n/);
+    const records = [];
+    const errors = [];
+    let pendingName = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const lineNo = i + 1;
+      if (!line.trim()) continue;
+
+      if (isElementLine(line, 1)) {
+        const next = (lines[i + 1] || '').trim();
+        if (!isElementLine(next, 2)) {
+          errors.push({ line: lineNo, message: 'line 1 is not followed by a line 2' });
+          pendingName = null;
+          continue;
+        }
+
+        const problems = [
+          [lineNo, checkLine(line, 1)],
+          [lineNo + 1, checkLine(next, 2)],
+        ].filter(([, problem]) => problem);
+        const id = catalogNumber(line.substring(2, 7));
+        if (id === null) {
+          problems.push([lineNo, `catalog number "${line.substring(2, 7).trim()}" is not a NORAD ID`]);
+        } else if (line.substring(2, 7) !== next.substring(2, 7)) {
+          problems.push([lineNo + 1, `catalog number ${next.substring(2, 7).trim()} does not match line 1 (${line.substring(2, 7).trim()})`]);
+        }
+
+        if (problems.length === 0) {
+          const satrec = satellite.twoline2satrec(line, next);
+          if (satrec.error) problems.push([lineNo, `SGP4 rejected the element set (error ${satrec.error})`]);
+        }
+
+        if (problems.length) {
+          problems.forEach(([n, message]) => errors.push({ line: n, message }));
+        } else {
+          records.push({
+            id,
+            name: pendingName,
+            line1: line,
+            line2: next,
+          });
+        }
+        pendingName = null;
+        i++;
+      } else if (isElementLine(line, 2)) {
+        errors.push({ line: lineNo, message: 'line 2 without a preceding line 1' });
+        pendingName = null;
+      } else {
+        if (pendingName) errors.push({ line: lineNo - 1, message: `"${pendingName}" has no element lines` });
+        pendingName = line.trim().replace(/^0 /, '').slice(0, 24);
+      }
+    }
+    if (pendingName) errors.push({ line: lines.length, message: `"${pendingName}" has no element lines` });
+
+    return { records, errors };
+  }
+
+  // =============================================
+  // OMM -> TLE (satellite.js builds satrecs from TLE lines)
+  // =============================================
+  const OMM_REQUIRED = [
+    'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION',
+    'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'NORAD_CAT_ID',
+  ];
+
+  // 0.00035502 -> " 35502-3" (assumed leading decimal point, power-of-ten exponent)
+  function formatExponent(value) {
+    if (!value) return ' 00000+0';
+    let exp = Math.floor(Math.log10(Math.abs(value))) + 1;
+    let digits = Math.round(Math.abs(value) / Math.pow(10, exp) * 1e5);
+    if (digits >= 1e5) {
+      digits /= 10;
+      exp += 1;
+    }
+    return `${value < 0 ? '-' : ' '}${String(digits).padStart(5, '0')}${exp < 0 ? '-' : '+'}${Math.abs(exp)}`;
+  }
+
+  function formatEpoch(epoch) {
+    const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(epoch) ? epoch : `${epoch}Z`);
+    if (isNaN(date)) throw new Error(`EPOCH "${epoch}" is not a valid date`);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const day = (date.getTime() - yearStart) / 864e5 + 1;
+    return `${String(date.getUTCFullYear() % 100).padStart(2, '0')}${day.toFixed(8).padStart(12, '0')}`;
+  }
+
+  function formatAngle(value) {
+    return Number(value).toFixed(4).padStart(8, ' ');
+  }
+
+  function withChecksum(line) {
+    return `${line}${checksum(line)}`;
+  }
+
+  function ommToRecord(omm) {
+    const missing = OMM_REQUIRED.filter(key => omm[key] === undefined || omm[key] === '');
+    if (missing.length) throw new Error(`missing ${missing.join(', ')}`);
+
+    const id = parseInt(omm.NORAD_CAT_ID, 10);
+    if (!(id > 0 && id <= ALPHA5_MAX)) throw new Error(`NORAD_CAT_ID ${omm.NORAD_CAT_ID} does not fit a TLE`);
+
+    const num = key => Number(omm[key] || 0);
+    const satnum = formatCatalogNumber(id);
+    const intl = (omm.OBJECT_ID || '').replace(/^\d\d(\d\d)-(\d{3})(\w*)$/, '$1$2$3').padEnd(8, ' ').slice(0, 8);
+    const ndot = num('MEAN_MOTION_DOT');
+    const ndotText = `${ndot < 0 ? '-' : ' '}${Math.abs(ndot).toFixed(8).replace(/^0/, '')}`;
+    const ecc = num('ECCENTRICITY').toFixed(7).replace(/^0\./, '');
+
+    const line1 = withChecksum([
+      `1 ${satnum}${(omm.CLASSIFICATION_TYPE || 'U').charAt(0)} ${intl} ${formatEpoch(omm.EPOCH)}`,
+      ndotText,
+      formatExponent(num('MEAN_MOTION_DDOT')),
+      formatExponent(num('BSTAR')),
+      `0 ${String(parseInt(omm.ELEMENT_SET_NO || 999, 10) % 10000).padStart(4, ' ')}`,
+    ].join(' '));
+
+    const line2 = withChecksum([
+      `2 ${satnum}`,
+      formatAngle(omm.INCLINATION),
+      formatAngle(omm.RA_OF_ASC_NODE),
+      ecc,
+      formatAngle(omm.ARG_OF_PERICENTER),
+      formatAngle(omm.MEAN_ANOMALY),
+      `${num('MEAN_MOTION').toFixed(8).padStart(11, ' ')}${String(parseInt(omm.REV_AT_EPOCH || 0, 10) % 100000).padStart(5, ' ')}`,
+    ].join(' '));
+
+    const satrec = satellite.twoline2satrec(line1, line2);
+    if (satrec.error) throw new Error(`SGP4 rejected the element set (error ${satrec.error})`);
+    return { id, name: omm.OBJECT_NAME || null, line1, line2 };
+  }
+
+  // --- OMM encodings -> plain { KEY: value } objects ---
+  function ommFromJSON(text) {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [data];
+  }
+
+  function ommFromXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const parseError = doc.getElementsByTagName('parsererror')[0];
+    if (parseError) throw new Error(`XML: ${parseError.textContent.split('\n')[0]}`);
+
+    const roots = Array.from(doc.getElementsByTagName('omm'));
+    return (roots.length ? roots : [doc.documentElement]).map(root => {
+      const omm = {};
+      root.querySelectorAll('*').forEach(el => {
+        if (el.children.length === 0) omm[el.tagName] = el.textContent.trim();
+      });
+      return omm;
+    });
+  }
+
+  // KVN: "KEY = value [unit]" lines; each CCSDS_OMM_VERS header starts a new message
+  function ommFromKVN(text) {
+    const messages = [];
+    let current = null;
+    text.split(/\r?\n/).forEach(raw => {
+      const match = raw.match(/^\s*([A-Z_]+)\s*=\s*(.*?)\s*(\[.*\])?\s*$/);
+      if (!match) return;
+      const [, key, value] = match;
+      if (key === 'CCSDS_OMM_VERS' || !current) {
+        current = {};
+        messages.push(current);
+      }
+      if (key !== 'COMMENT') current[key] = value;
+    });
+    return messages;
+  }
+
+  function detectFormat(text) {
+    const trimmed = text.trim();
+    if (/^[[{]/.test(trimmed)) return 'OMM JSON';
+    if (trimmed.startsWith('<')) return 'OMM XML';
+    if (/^\s*(CCSDS_OMM_VERS|OBJECT_NAME|EPOCH)\s*=/m.test(trimmed)) return 'OMM KVN';
+    return 'TLE';
+  }
+
+  // Any supported text -> { format, records, errors }
+  function parse(text) {
+    const format = detectFormat(text);
+    if (format === 'TLE') return { format, ...parseTLEText(text) };
+
+    const records = [];
+    const errors = [];
+    let messages;
+    try {
+      messages = format === 'OMM JSON' ? ommFromJSON(text)
+        : format === 'OMM XML' ? ommFromXML(text)
+          : ommFromKVN(text);
+    } catch (err) {
+      return { format, records, errors: [{ line: null, message: err.message }] };
+    }
+
+    messages.forEach((omm, i) => {
+      try {
+        records.push(ommToRecord(omm));
+      } catch (err) {
+        errors.push({ line: null, message: `object ${i + 1}${omm.OBJECT_NAME ? ` (${omm.OBJECT_NAME})` : ''}: ${err.message}` });
+      }
+    });
+    return { format, records, errors };
+  }
+
+  OrbitWatch.elements = {
+    parse,
+    checksum,
+    catalogNumber,
+  };
+
+  // =============================================
+  // IMPORT DIALOG
+  // =============================================
+  const dialog = document.getElementById('tle-dialog');
+  const openBtn = document.getElementById('sat-import-open');
+  if (!dialog || !openBtn) return;
+
+  const textarea = dialog.querySelector('[name="elements"]');
+  const fileInput = dialog.querySelector('[name="file"]');
+  const resultEl = document.getElementById('tle-dialog-result');
+  const importBtn = dialog.querySelector('[data-action="import"]');
+  let parsed = { records: [], errors: [] };
+  let parseTimer = null;
+
+  function renderResult() {
+    const { format, records, errors } = parsed;
+    importBtn.disabled = records.length === 0;
+    if (!textarea.value.trim()) {
+      resultEl.innerHTML = '';
+      return;
+    }
+
+    const ok = records.length
+      ? `<p class="tle-dialog__ok">${format} · ${records.length} object${records.length === 1 ? '' : 's'} ready: ${records.slice(0, 6).map(r => escapeHTML(r.name || `NORAD ${r.id}`)).join(', ')}${records.length > 6 ? '…' : ''}</p>`
+      : '';
+    const problems = errors.map(e =>
+      `<li class="tle-dialog__error">${e.line ? `<span class="tle-dialog__line">LINE ${e.line}</span>` : ''}${escapeHTML(e.message)}</li>`
+    ).join('');
+    resultEl.innerHTML = `${ok}${problems ? `<ul class="tle-dialog__errors">${problems}</ul>` : ''}`;
+  }
+
+  function update() {
+    parsed = textarea.value.trim() ? parse(textarea.value) : { records: [], errors: [] };
+    renderResult();
+  }
+
+  async function loadFile(file) {
+    if (!file) return;
+    textarea.value = await file.text();
+    update();
+  }
+
+  openBtn.addEventListener('click', () => {
+    dialog.showModal();
+    textarea.focus();
+  });
+
+  textarea.addEventListener('input', () => {
+    clearTimeout(parseTimer);
+    parseTimer = setTimeout(update, 250);
+  });
+
+  fileInput.addEventListener('change', () => loadFile(fileInput.files[0]));
+
+  dialog.addEventListener('dragover', e => {
+    e.preventDefault();
+    dialog.classList.add('tle-dialog--drop');
+  });
+  dialog.addEventListener('dragleave', () => dialog.classList.remove('tle-dialog--drop'));
+  dialog.addEventListener('drop', e => {
+    e.preventDefault();
+    dialog.classList.remove('tle-dialog--drop');
+    loadFile(e.dataTransfer.files[0]);
+  });
+
+  dialog.addEventListener('click', e => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    if (btn.dataset.action === 'close') dialog.close();
+    if (btn.dataset.action === 'import' && parsed.records.length) {
+      const added = OrbitWatch.catalog.importRecords(parsed.records);
+      if (added.length === 1) OrbitWatch.catalog.select(added[0].id);
+      const statusEl = document.getElementById('catalog-status');
+      if (statusEl) statusEl.textContent = `IMPORTED ${added.length} OBJECT${added.length === 1 ? '' : 'S'}`;
+      textarea.value = '';
+      update();
+      dialog.close();
+    }
+  });
+
+})();
@@ -0,0 +1,159 @@
+/* ============================================
+   ORBITWATCH — Ephemeris Module
+   Sun & Moon Position · Earth Shadow · Visual Magnitude
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  // `self` rather than `window` so the pass worker can load this too
+  const OrbitWatch = self.OrbitWatch = self.OrbitWatch || {};
+
+  const DEG = Math.PI / 180;
+  const AU_KM = 149597870.7;
+  const EARTH_RADIUS_KM = 6378.137;
+
+  function julianDate(date) {
+    return date.getTime() / 864e5 + 2440587.5;
+  }
+
+  // Greenwich mean sidereal time (radians)
+  function gmst(date) {
+    const d = julianDate(date) - 2451545.0;
+    const deg = (280.46061837 + 360.98564736629 * d) % 360;
+    return (deg < 0 ? deg + 360 : deg) * DEG;
+  }
+
+  // =============================================
+  // SUN — low-precision formulae from the Astronomical Almanac (~0.01°)
+  // =============================================
+  function sunPosition(date) {
+    const n = julianDate(date) - 2451545.0;
+    const L = (280.460 + 0.9856474 * n) * DEG;
+    const g = (357.528 + 0.9856003 * n) * DEG;
+    const lambda = L + (1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * DEG;
+    const epsilon = (23.439 - 0.0000004 * n) * DEG;
+
+    return {
+      ra: Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda)),
+      dec: Math.asin(Math.sin(epsilon) * Math.sin(lambda)),
+      longitude: lambda, // ecliptic, equinox of date
+      distKm: (1.00014 - 0.01671 * Math.cos(g) - 0.00014 * Math.cos(2 * g)) * AU_KM,
+    };
+  }
+
+  // Sun vector in the same inertial frame satellite.js propagates in (km)
+  function sunEci(date) {
+    const { ra, dec, distKm } = sunPosition(date);
+    return {
+      x: distKm * Math.cos(dec) * Math.cos(ra),
+      y: distKm * Math.cos(dec) * Math.sin(ra),
+      z: distKm * Math.sin(dec),
+    };
+  }
+
+  // =============================================
+  // MOON — low-precision series from the Astronomical Almanac (~0.3°, geocentric)
+  // =============================================
+  function moonPosition(date) {
+    const T = (julianDate(date) - 2451545.0) / 36525;
+    const s = (a, b) => Math.sin((a + b * T) * DEG);
+    const c = (a, b) => Math.cos((a + b * T) * DEG);
+
+    const lambda = (218.32 + 481267.881 * T
+      + 6.29 * s(135.0, 477198.87) - 1.27 * s(259.3, -413335.36)
+      + 0.66 * s(235.7, 890534.22) + 0.21 * s(269.9, 954397.74)
+      - 0.19 * s(357.5, 35999.05) - 0.11 * s(186.5, 966404.03)) * DEG;
+    const beta = (5.13 * s(93.3, 483202.02) + 0.28 * s(228.2, 960400.89)
+      - 0.28 * s(318.3, 6003.15) - 0.17 * s(217.6, -407332.21)) * DEG;
+    const parallax = (0.9508 + 0.0518 * c(135.0, 477198.87) + 0.0095 * c(259.3, -413335.36)
+      + 0.0078 * c(235.7, 890534.22) + 0.0028 * c(269.9, 954397.74)) * DEG;
+    const epsilon = (23.439 - 0.013 * T) * DEG;
+
+    // Ecliptic -> equatorial
+    const x = Math.cos(beta) * Math.cos(lambda);
+    const y = Math.cos(epsilon) * Math.cos(beta) * Math.sin(lambda) - Math.sin(epsilon) * Math.sin(beta);
+    const z = Math.sin(epsilon) * Math.cos(beta) * Math.sin(lambda) + Math.cos(epsilon) * Math.sin(beta);
+
+    return {
+      ra: Math.atan2(y, x),
+      dec: Math.asin(z),
+      distKm: EARTH_RADIUS_KM / Math.sin(parallax),
+    };
+  }
+
+  // Point on the ground with the body at the zenith (degrees, lng in ±180)
+  function subPoint(ra, dec, date) {
+    const lng = ((ra - gmst(date)) / DEG) % 360;
+    return {
+      lat: dec / DEG,
+      lng: lng > 180 ? lng - 360 : lng < -180 ? lng + 360 : lng,
+    };
+  }
+
+  // Altitude (degrees) of a body at RA/Dec (radians) for an observer
+  function altitude(ra, dec, date, lat, lng) {
+    const hourAngle = gmst(date) + lng * DEG - ra;
+    const sinAlt = Math.sin(lat * DEG) * Math.sin(dec)
+      + Math.cos(lat * DEG) * Math.cos(dec) * Math.cos(hourAngle);
+    return Math.asin(sinAlt) / DEG;
+  }
+
+  function sunAltitude(date, lat, lng) {
+    const { ra, dec } = sunPosition(date);
+    return altitude(ra, dec, date, lat, lng);
+  }
+
+  // =============================================
+  // SATELLITE ILLUMINATION
+  // =============================================
+  function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  function angleBetween(a, b) {
+    const cos = dot(a, b) / Math.sqrt(dot(a, a) * dot(b, b));
+    return Math.acos(Math.max(-1, Math.min(1, cos)));
+  }
+
+  // Cylindrical Earth-shadow test for an ECI position (km)
+  function isSunlit(posEci, sun) {
+    const sunDist = Math.sqrt(dot(sun, sun));
+    const along = dot(posEci, sun) / sunDist;
+    if (along > 0) return true; // on the day side of the terminator plane
+    return dot(posEci, posEci) - along * along > EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+  }
+
+  // Phase angle at the satellite between the Sun and the observer (radians)
+  function phaseAngle(posEci, observerEci, sun) {
+    return angleBetween(sub(sun, posEci), sub(observerEci, posEci));
+  }
+
+  // Standard magnitude is quoted at 1000 km range and 90° phase (half lit);
+  // scaled here with a diffuse-sphere phase law
+  function visualMagnitude(stdMag, rangeKm, phase) {
+    const phaseFactor = Math.sin(phase) + (Math.PI - phase) * Math.cos(phase);
+    if (phaseFactor <= 0) return null;
+    return stdMag + 5 * Math.log10(rangeKm / 1000) - 2.5 * Math.log10(phaseFactor);
+  }
+
+  OrbitWatch.ephemeris = {
+    EARTH_RADIUS_KM,
+    julianDate,
+    gmst,
+    sunPosition,
+    sunEci,
+    moonPosition,
+    subPoint,
+    altitude,
+    sunAltitude,
+    isSunlit,
+    phaseAngle,
+    visualMagnitude,
+  };
+
+})();
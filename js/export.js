@@ -0,0 +1,223 @@
+/* ============================================
+   ORBITWATCH — Export Helpers
+   File Download · CSV · iCalendar · GeoJSON · KML · GPX
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+
+  // =============================================
+  // DOWNLOAD
+  // =============================================
+  function download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Filename-safe timestamp, e.g. 20241017-0929
+  function stamp(date = new Date()) {
+    return date.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  }
+
+  // =============================================
+  // CSV (RFC 4180)
+  // =============================================
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function toCSV(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // =============================================
+  // ICALENDAR (RFC 5545)
+  // =============================================
+  const encoder = new TextEncoder();
+
+  function icsText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  function icsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Content lines are limited to 75 octets; continuations start with a space
+  function icsFold(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  // events: [{ uid, start, end, summary, description, location, geo: { lat, lng } }]
+  function toICS(events, calendarName) {
+    const now = icsDate(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//OrbitWatch//Pass Prediction//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+    ];
+    if (calendarName) lines.push(`X-WR-CALNAME:${icsText(calendarName)}`);
+
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${now}`,
+        `DTSTART:${icsDate(event.start)}`,
+        `DTEND:${icsDate(event.end)}`,
+        `SUMMARY:${icsText(event.summary)}`
+      );
+      if (event.description) lines.push(`DESCRIPTION:${icsText(event.description)}`);
+      if (event.location) lines.push(`LOCATION:${icsText(event.location)}`);
+      if (event.geo) lines.push(`GEO:${event.geo.lat.toFixed(6)};${event.geo.lng.toFixed(6)}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  }
+
+  // =============================================
+  // GROUND TRACKS — GeoJSON (RFC 7946), KML 2.2, GPX 1.1
+  // points: [{ time (ms), lat, lng, altKm, velKmh }] in time order
+  // =============================================
+  const TRACK_GAP_MS = 5 * 60000; // a longer silence (page closed) starts a new segment
+
+  function xmlText(text) {
+    return String(text).replace(/[&<>"']/g, c => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]
+    ));
+  }
+
+  function isoTime(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  function metres(point) {
+    return Number.isFinite(point.altKm) ? Math.round(point.altKm * 1000) : 0;
+  }
+
+  // Split at recording gaps and, if asked, where the track crosses ±180° longitude
+  function trackSegments(points, splitAntimeridian) {
+    const segments = [];
+    let current = [];
+    points.forEach((point, i) => {
+      const prev = points[i - 1];
+      if (prev && (point.time - prev.time > TRACK_GAP_MS
+        || (splitAntimeridian && Math.abs(point.lng - prev.lng) > 180))) {
+        if (current.length > 1) segments.push(current);
+        current = [];
+      }
+      current.push(point);
+    });
+    if (current.length > 1) segments.push(current);
+    return segments;
+  }
+
+  // One LineString feature per segment, split at the antimeridian as RFC 7946 §3.1.9 advises;
+  // per-vertex times and speeds ride along as coordinate properties
+  function toGeoJSON(points, name) {
+    const features = trackSegments(points, true).map(segment => ({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: segment.map(p => [+p.lng.toFixed(5), +p.lat.toFixed(5), metres(p)]),
+      },
+      properties: {
+        name,
+        start: new Date(segment[0].time).toISOString(),
+        end: new Date(segment[segment.length - 1].time).toISOString(),
+        coordinateProperties: {
+          times: segment.map(p => new Date(p.time).toISOString()),
+          velocityKmh: segment.map(p => (Number.isFinite(p.velKmh) ? Math.round(p.velKmh) : null)),
+        },
+      },
+    }));
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 1);
+  }
+
+  // Absolute-altitude lines extruded to the ground, so the track hangs at orbital height
+  function toKML(points, name) {
+    const placemarks = trackSegments(points, false).map((segment, i) => `
+    <Placemark>
+      <name>${xmlText(name)}${i ? ` (${i + 1})` : ''}</name>
+      <styleUrl>#track</styleUrl>
+      <TimeSpan><begin>${isoTime(segment[0].time)}</begin><end>${isoTime(segment[segment.length - 1].time)}</end></TimeSpan>
+      <LineString>
+        <extrude>1</extrude>
+        <tessellate>0</tessellate>
+        <altitudeMode>absolute</altitudeMode>
+        <coordinates>${segment.map(p => `${p.lng.toFixed(5)},${p.lat.toFixed(5)},${metres(p)}`).join(' ')}</coordinates>
+      </LineString>
+    </Placemark>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlText(name)}</name>
+    <Style id="track">
+      <LineStyle><color>ffffe500</color><width>2</width></LineStyle>
+      <PolyStyle><color>3dffe500</color></PolyStyle>
+    </Style>${placemarks}
+  </Document>
+</kml>
+`;
+  }
+
+  function toGPX(points, name) {
+    const segments = trackSegments(points, false).map(segment => `
+    <trkseg>${segment.map(p => `
+      <trkpt lat="${p.lat.toFixed(5)}" lon="${p.lng.toFixed(5)}"><ele>${metres(p)}</ele><time>${isoTime(p.time)}</time></trkpt>`).join('')}
+    </trkseg>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="OrbitWatch" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xmlText(name)}</name><time>${isoTime(Date.now())}</time></metadata>
+  <trk>
+    <name>${xmlText(name)}</name>${segments}
+  </trk>
+</gpx>
+`;
+  }
+
+  OrbitWatch.exporter = {
+    download,
+    stamp,
+    toCSV,
+    toICS,
+    toGeoJSON,
+    toKML,
+    toGPX,
+  };
+
+})();
@@ -0,0 +1,428 @@
+/* ============================================
+   ORBITWATCH — Orbit History
+   TLE Archive · Reboosts & Avoidance Burns · Decay Projection
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { catalog, database, escapeHTML, orbit } = OrbitWatch;
+
+  const STORE = 'tleArchive';
+  const ARCHIVE_SIZE = 1500;          // element sets kept per object, about a year of ISS updates
+
+  // A burn shows up as a step in semi-major axis that drag alone can't explain.
+  // ISS reboosts add one to a few km; debris-avoidance burns are smaller and
+  // sometimes retrograde. TLE fits scatter by a few tens of metres.
+  const MANEUVER_KM = 0.25;
+  const REBOOST_KM = 1;
+  const MAX_GAP_DAYS = 5;             // beyond this drag uncertainty swamps a small burn
+  const MERGE_DAYS = 1;               // refits right after a burn belong to the same event
+
+  const FIT_MIN_POINTS = 3;
+  const FIT_MIN_DAYS = 2;
+  const FIT_WINDOW_DAYS = 14;
+
+  // Drag grows as the orbit sinks: density scale height near 400 km
+  const SCALE_HEIGHT_KM = 55;
+  const PROJECTION_DAYS = 365;
+  const REENTRY_ALT_KM = 200;
+
+  // =============================================
+  // ARCHIVE — every distinct element set seen, per NORAD ID. Held in memory
+  // and written through to IndexedDB, which has room for years of sets
+  // where localStorage (shared with the catalog and settings) does not.
+  // =============================================
+  let archive = {};
+  const analyses = new Map(); // NORAD ID -> analyze() result, dropped when that object's archive changes
+
+  function emitChange() {
+    document.dispatchEvent(new CustomEvent('orbitwatch:history-change'));
+  }
+
+  async function loadArchive() {
+    try {
+      const rows = await database.transaction(STORE, 'readonly', store => database.request(store.getAll()));
+      rows.forEach(({ id, sets }) => { archive[String(id)] = sets; });
+    } catch (err) {
+      console.warn('Element set archive unavailable, keeping it for this session only:', err.message);
+    }
+    analyses.clear();
+    emitChange();
+  }
+
+  // Write the given objects' archives; resolves false when they could not be stored
+  async function saveArchive(ids) {
+    try {
+      await database.transaction(STORE, 'readwrite', store => {
+        ids.forEach(id => {
+          const key = String(id);
+          if (archive[key]) store.put({ id: Number(key), sets: archive[key] });
+          else store.delete(Number(key));
+        });
+      });
+      return true;
+    } catch (err) {
+      console.warn('Element set archive write failed:', err);
+      return false;
+    }
+  }
+
+  function epochKey(line1) {
+    return line1.slice(18, 32);
+  }
+
+  // Two-digit-year epochs sort by the TLE convention: 57–99 are 19xx
+  function epochSortKey(line1) {
+    const yy = parseInt(line1.slice(18, 20), 10);
+    return `${yy < 57 ? 20 : 19}${epochKey(line1)}`;
+  }
+
+  // Add element sets to an object's archive; returns how many were new
+  function archiveSets(id, sets) {
+    const key = String(id);
+    const list = archive[key] || [];
+    const seen = new Set(list.map(([line1]) => epochKey(line1)));
+    let added = 0;
+
+    sets.forEach(({ line1, line2 }) => {
+      if (!line1 || !line2 || seen.has(epochKey(line1))) return;
+      seen.add(epochKey(line1));
+      list.push([line1, line2]);
+      added++;
+    });
+    if (!added) return 0;
+
+    list.sort((a, b) => (epochSortKey(a[0]) < epochSortKey(b[0]) ? -1 : 1));
+    archive[key] = list.slice(-ARCHIVE_SIZE);
+    analyses.delete(key);
+    return added;
+  }
+
+  async function recordCatalog() {
+    await ready;
+    const changed = catalog.list().filter(sat => archiveSets(sat.id, [sat])).map(sat => sat.id);
+    if (!changed.length) return;
+    emitChange();
+    await saveArchive(changed);
+  }
+
+  // Backfill from a TLE / OMM history file (e.g. a Space-Track download).
+  // `saved` is false when the new sets only live in memory for this session.
+  async function importText(text) {
+    await ready;
+    const { records, errors } = OrbitWatch.elements.parse(text);
+    const byId = new Map();
+    records.forEach(r => byId.set(r.id, [...(byId.get(r.id) || []), r]));
+
+    let added = 0;
+    const changed = [];
+    byId.forEach((sets, id) => {
+      const count = archiveSets(id, sets);
+      if (count) changed.push(id);
+      added += count;
+    });
+    if (changed.length) emitChange();
+    const saved = changed.length ? await saveArchive(changed) : true;
+    return { added, objects: byId.size, errors, saved };
+  }
+
+  async function clear(id) {
+    await ready;
+    delete archive[String(id)];
+    analyses.delete(String(id));
+    emitChange();
+    await saveArchive([id]);
+  }
+
+  // =============================================
+  // HISTORY — mean altitude per element set
+  // =============================================
+  function points(id) {
+    return (archive[String(id)] || []).map(([line1, line2]) => {
+      const satrec = satellite.twoline2satrec(line1, line2);
+      const epoch = new Date((satrec.jdsatepoch + (satrec.jdsatepochF || 0) - 2440587.5) * 864e5);
+      const el = orbit.elements({ satrec, line1, line2 }, epoch);
+      return {
+        time: el.epoch,
+        semiMajorAxisKm: el.semiMajorAxisKm,
+        meanAltKm: (el.apogeeKm + el.perigeeKm) / 2,
+        apogeeKm: el.apogeeKm,
+        perigeeKm: el.perigeeKm,
+        decayKmPerDay: el.decayKmPerDay,
+        meanSpeedKmh: el.meanSpeedKmh,
+      };
+    }).filter(p => Number.isFinite(p.meanAltKm));
+  }
+
+  // Step changes in semi-major axis beyond what the earlier set's drag predicts
+  function detectEvents(history) {
+    const events = [];
+
+    for (let i = 1; i < history.length; i++) {
+      const prev = history[i - 1];
+      const cur = history[i];
+      const days = (cur.time - prev.time) / 864e5;
+      if (days <= 0 || days > MAX_GAP_DAYS) continue;
+
+      const deltaKm = cur.semiMajorAxisKm - prev.semiMajorAxisKm - prev.decayKmPerDay * days;
+      if (Math.abs(deltaKm) < MANEUVER_KM) continue;
+
+      const last = events[events.length - 1];
+      if (last && (prev.time - last.end) / 864e5 <= MERGE_DAYS) {
+        last.deltaKm += deltaKm;
+        last.end = cur.time;
+      } else {
+        events.push({ start: prev.time, end: cur.time, deltaKm, speedKmh: prev.meanSpeedKmh, aKm: prev.semiMajorAxisKm });
+      }
+    }
+
+    // Circular orbit: Δa = 2a·Δv / v
+    return events.map(e => ({
+      type: e.deltaKm >= REBOOST_KM ? 'reboost' : 'avoidance',
+      start: e.start,
+      end: e.end,
+      time: new Date((e.start.getTime() + e.end.getTime()) / 2),
+      deltaKm: e.deltaKm,
+      deltaVms: e.deltaKm * (e.speedKmh / 3.6) / (2 * e.aKm),
+    }));
+  }
+
+  // Decay rate fitted to the archive since the last burn, else the latest TLE's own
+  function decayRate(history, events) {
+    const latest = history[history.length - 1];
+    if (!latest) return null;
+
+    const lastBurn = events.length ? events[events.length - 1].end : 0;
+    const since = Math.max(lastBurn, latest.time - FIT_WINDOW_DAYS * 864e5);
+    const fit = history.filter(p => p.time >= since);
+    const spanDays = fit.length ? (latest.time - fit[0].time) / 864e5 : 0;
+
+    if (fit.length < FIT_MIN_POINTS || spanDays < FIT_MIN_DAYS) {
+      return { kmPerDay: latest.decayKmPerDay, source: 'tle' };
+    }
+
+    const t0 = fit[0].time;
+    const xs = fit.map(p => (p.time - t0) / 864e5);
+    const ys = fit.map(p => p.semiMajorAxisKm);
+    const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+    let num = 0;
+    let den = 0;
+    xs.forEach((x, i) => { num += (x - mx) * (ys[i] - my); den += (x - mx) * (x - mx); });
+    return { kmPerDay: den ? num / den : latest.decayKmPerDay, source: 'fit' };
+  }
+
+  // Daily mean altitude with no further burns, drag scaled by an exponential atmosphere
+  function projectDecay(latest, kmPerDay) {
+    const curve = [{ time: latest.time, altKm: latest.meanAltKm }];
+    if (!(kmPerDay < 0)) return { curve, reentry: null };
+
+    let alt = latest.meanAltKm;
+    for (let day = 1; day <= PROJECTION_DAYS; day++) {
+      alt += kmPerDay * Math.exp((latest.meanAltKm - alt) / SCALE_HEIGHT_KM);
+      const time = new Date(latest.time.getTime() + day * 864e5);
+      curve.push({ time, altKm: alt });
+      if (alt <= REENTRY_ALT_KM) return { curve, reentry: time };
+    }
+    return { curve, reentry: null };
+  }
+
+  // Parsing every archived set is the expensive part, so results are kept
+  // until the object's archive changes
+  function analyze(id) {
+    const key = String(id);
+    if (analyses.has(key)) return analyses.get(key);
+
+    const history = points(id);
+    let result = { history, events: [], decay: null, projection: null };
+    if (history.length) {
+      const events = detectEvents(history);
+      const decay = decayRate(history, events);
+      result = { history, events, decay, projection: projectDecay(history[history.length - 1], decay.kmPerDay) };
+    }
+    analyses.set(key, result);
+    return result;
+  }
+
+  const ready = loadArchive();
+  catalog.ready.then(recordCatalog);
+  document.addEventListener('orbitwatch:catalog-change', recordCatalog);
+
+  OrbitWatch.history = {
+    ready,
+    analyze,
+    importText,
+    clear,
+    count: id => (archive[String(id)] || []).length,
+  };
+
+  // =============================================
+  // ALTITUDE DRAWER
+  // =============================================
+  const contentEl = document.getElementById('history-content');
+  const subtitleEl = document.getElementById('history-subtitle');
+  const drawerEl = document.getElementById('drawer-history');
+  const btnHistory = document.getElementById('btn-history');
+  const fileInput = document.getElementById('history-file');
+  const clearBtn = document.getElementById('history-clear');
+  if (!contentEl) return;
+
+  const CHART_WIDTH = 340;
+  const CHART_HEIGHT = 170;
+  const CHART_PAD = 34;
+  const CHART_PROJECTION_DAYS = 90;
+  let importNote = '';
+  let chartScale = null; // { t0, t1, x } of the chart on screen
+
+  function formatDay(date) {
+    if (!date) return '—';
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' }).toUpperCase();
+  }
+
+  function formatSigned(value, decimals) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(decimals)}`;
+  }
+
+  function statCard(label, value, unit) {
+    return `
+      <div class="stat-card">
+        <span class="stat-card__label">${label}</span>
+        <span class="stat-card__value">${value}</span>
+        <span class="stat-card__unit">${unit}</span>
+      </div>
+    `;
+  }
+
+  function renderChart({ history, events, projection }) {
+    const projected = projection.curve.filter(p => p.time - projection.curve[0].time <= CHART_PROJECTION_DAYS * 864e5);
+    const t0 = history[0].time.getTime();
+    const t1 = Math.max(projected[projected.length - 1].time.getTime(), t0 + 864e5);
+    const alts = history.map(p => p.meanAltKm).concat(projected.map(p => p.altKm));
+    const lo = Math.floor(Math.min(...alts) - 1);
+    const hi = Math.ceil(Math.max(...alts) + 1);
+    const plotWidth = CHART_WIDTH - CHART_PAD;
+    const x = t => CHART_PAD + (t - t0) / (t1 - t0) * plotWidth;
+    const y = v => CHART_HEIGHT - 12 - (v - lo) / (hi - lo) * (CHART_HEIGHT - 24);
+    const line = list => list.map(p => `${x(p.time).toFixed(1)},${y(p.altKm ?? p.meanAltKm).toFixed(1)}`).join(' ');
+
+    chartScale = { t0, t1, x };
+    const markers = events.map(e => `
+      <line class="history-chart__event history-chart__event--${e.type}" x1="${x(e.time).toFixed(1)}" x2="${x(e.time).toFixed(1)}" y1="4" y2="${CHART_HEIGHT - 12}"/>
+      <text class="history-chart__tag history-chart__tag--${e.type}" x="${(x(e.time) + 2).toFixed(1)}" y="12">${e.type === 'reboost' ? 'R' : 'A'}</text>
+    `).join('');
+
+    return `
+      <svg class="history-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="Mean altitude history and projected decay">
+        <text class="telemetry-chart__label" x="0" y="10">${hi} KM</text>
+        <text class="telemetry-chart__label" x="0" y="${CHART_HEIGHT - 12}">${lo} KM</text>
+        <text class="telemetry-chart__label" x="${CHART_PAD}" y="${CHART_HEIGHT - 1}">${formatDay(new Date(t0))}</text>
+        <text class="telemetry-chart__label" x="${CHART_WIDTH}" y="${CHART_HEIGHT - 1}" text-anchor="end">${formatDay(new Date(t1))}</text>
+        ${markers}
+        <line class="history-chart__now" y1="4" y2="${CHART_HEIGHT - 12}" visibility="hidden"/>
+        <polyline class="history-chart__projection" points="${line(projected)}"/>
+        <polyline class="telemetry-chart__line" points="${line(history)}"/>
+      </svg>
+    `;
+  }
+
+  // Simulated time only moves the "now" line; the rest of the chart is the archive
+  function moveNowMarker() {
+    const marker = contentEl.querySelector('.history-chart__now');
+    if (!marker || !chartScale) return;
+    const now = OrbitWatch.clock ? OrbitWatch.clock.date().getTime() : Date.now();
+    const inside = now >= chartScale.t0 && now <= chartScale.t1;
+    marker.setAttribute('visibility', inside ? 'visible' : 'hidden');
+    if (!inside) return;
+    const x = chartScale.x(now).toFixed(1);
+    marker.setAttribute('x1', x);
+    marker.setAttribute('x2', x);
+  }
+
+  function renderEvents(events) {
+    if (!events.length) return '<p class="moon-note">No burns detected in the archived element sets.</p>';
+    return `
+      <ul class="history-events">
+        ${events.slice().reverse().map(e => `
+          <li class="history-event history-event--${e.type}">
+            <span class="history-event__type">${e.type === 'reboost' ? 'REBOOST' : 'DEBRIS AVOIDANCE'}</span>
+            <span class="history-event__when">${formatDay(e.start)}${e.end - e.start > 864e5 ? ` – ${formatDay(e.end)}` : ''}</span>
+            <span class="history-event__delta">${formatSigned(e.deltaKm, 2)} KM · ${formatSigned(e.deltaVms, 2)} M/S</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  function render() {
+    const sat = catalog.selected();
+    if (!sat) return;
+    const result = analyze(sat.id);
+    const { history, events, decay, projection } = result;
+    if (subtitleEl) subtitleEl.textContent = `${sat.label || sat.name || `NORAD ${sat.id}`} · ${history.length} ELEMENT SET${history.length === 1 ? '' : 'S'}`;
+
+    const note = importNote ? `<p class="moon-note">${escapeHTML(importNote)}</p>` : '';
+    if (history.length < 2) {
+      contentEl.innerHTML = `
+        ${note}
+        <p class="moon-note">Element sets are archived each time the catalog refreshes (every couple of hours).
+        Import a TLE history file to backfill the chart.</p>
+      `;
+      return;
+    }
+
+    const latest = history[history.length - 1];
+    const lastReboost = events.filter(e => e.type === 'reboost').pop();
+    const in90 = projection.curve[Math.min(CHART_PROJECTION_DAYS, projection.curve.length - 1)];
+
+    contentEl.innerHTML = `
+      ${renderChart(result)}
+      <div class="stats-grid">
+        ${statCard('MEAN ALTITUDE', latest.meanAltKm.toFixed(1), `KM · ${formatDay(latest.time)}`)}
+        ${statCard('DECAY RATE', formatSigned(decay.kmPerDay * 1000, 0), decay.source === 'fit' ? 'M / DAY · FITTED' : 'M / DAY · TLE DRAG')}
+        ${statCard('LAST REBOOST', lastReboost ? formatDay(lastReboost.end) : '—', lastReboost ? `${formatSigned(lastReboost.deltaKm, 1)} KM` : 'NONE ARCHIVED')}
+        ${statCard(projection.reentry ? 'DOWN TO 200 KM' : 'IN 90 DAYS', projection.reentry ? formatDay(projection.reentry) : in90.altKm.toFixed(1), projection.reentry ? 'WITHOUT A REBOOST' : 'KM WITHOUT A REBOOST')}
+      </div>
+      ${note}
+      ${renderEvents(events)}
+    `;
+    moveNowMarker();
+  }
+
+  function isOpen() {
+    return drawerEl && drawerEl.classList.contains('open');
+  }
+
+  if (btnHistory) btnHistory.addEventListener('click', () => setTimeout(render, 100));
+
+  if (fileInput) {
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      const { added, objects, errors, saved } = await importText(await file.text());
+      importNote = `${file.name}: ${added} new element set${added === 1 ? '' : 's'} for ${objects} object${objects === 1 ? '' : 's'}`
+        + (errors.length ? `, ${errors.length} problem${errors.length === 1 ? '' : 's'} skipped` : '')
+        + (saved ? '' : ' — browser storage refused them, so they last only until this tab closes');
+      fileInput.value = '';
+      render();
+    });
+  }
+
+  if (clearBtn) {
+    clearBtn.addEventListener('click', async () => {
+      const sat = catalog.selected();
+      if (!sat) return;
+      await clear(sat.id);
+      await recordCatalog();
+      importNote = '';
+      render();
+    });
+  }
+
+  ['history-change', 'catalog-change', 'satellite-change'].forEach(name => {
+    document.addEventListener(`orbitwatch:${name}`, () => { if (isOpen()) render(); });
+  });
+  document.addEventListener('orbitwatch:clock-change', () => { if (isOpen()) moveNowMarker(); });
+
+})();
@@ -0,0 +1,335 @@
+/* ============================================
+   ORBITWATCH — Observer Locations
+   Geolocation · Place Search · Saved Sites
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { escapeHTML } = OrbitWatch;
+
+  // =============================================
+  // OBSERVER LOCATION — { name, lat, lng, elevation (m) }
+  // =============================================
+  const STORAGE_KEY = 'orbitwatch.locations';
+  const SEARCH_API = 'https://nominatim.openstreetmap.org/search';
+  const ELEVATION_API = 'https://api.open-meteo.com/v1/elevation';
+
+  let sites = []; // saved named sites, each with an id
+  let current = null;
+
+  function emit(type, detail) {
+    document.dispatchEvent(new CustomEvent(`orbitwatch:${type}`, { detail }));
+  }
+
+  function formatCoords(lat, lng) {
+    return `${Math.abs(lat).toFixed(3)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(3)}°${lng >= 0 ? 'E' : 'W'}`;
+  }
+
+  function getCurrent() {
+    return current;
+  }
+
+  function setCurrent(loc) {
+    current = {
+      id: loc.id || null,
+      name: loc.name || formatCoords(loc.lat, loc.lng),
+      lat: loc.lat,
+      lng: loc.lng,
+      elevation: Number.isFinite(loc.elevation) ? loc.elevation : null,
+    };
+    save();
+    emit('location-change', current);
+
+    // Fill in ground elevation when the source didn't provide one. The place
+    // may have been saved as a site (a copy) while the lookup was running.
+    if (current.elevation === null) {
+      const target = current;
+      lookupElevation(target.lat, target.lng).then(elevation => {
+        if (elevation === null) return;
+        const waiting = loc => loc && loc.lat === target.lat && loc.lng === target.lng && loc.elevation === null;
+        const filled = [...new Set([target, current, ...sites])].filter(waiting);
+        filled.forEach(loc => { loc.elevation = elevation; });
+        save();
+        if (filled.includes(current)) emit('location-change', current);
+      });
+    }
+    return current;
+  }
+
+  function list() {
+    return sites.slice();
+  }
+
+  // Store the current location as a named site
+  function saveSite(name) {
+    if (!current) return null;
+    const site = { ...current, id: `site-${Date.now()}`, name: name || current.name };
+    sites.push(site);
+    current = site;
+    save();
+    emit('location-change', current);
+    return site;
+  }
+
+  function removeSite(id) {
+    sites = sites.filter(s => s.id !== id);
+    if (current && current.id === id) current = { ...current, id: null };
+    save();
+    emit('location-change', current);
+  }
+
+  function selectSite(id) {
+    const site = sites.find(s => s.id === id);
+    if (site) setCurrent(site);
+  }
+
+  // Browser geolocation — becomes the current location on success
+  function locate() {
+    return new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error('Geolocation not supported'));
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        pos => resolve(setCurrent({
+          name: 'MY LOCATION',
+          lat: pos.coords.latitude,
+          lng: pos.coords.longitude,
+          elevation: pos.coords.altitude, // null when the device has no fix
+        })),
+        err => reject(err),
+        { enableHighAccuracy: false, timeout: 10000 }
+      );
+    });
+  }
+
+  // Forward geocode a place name through Nominatim
+  async function search(query) {
+    const res = await fetch(
+      `${SEARCH_API}?format=json&q=${encodeURIComponent(query)}&limit=5&accept-language=en`,
+      { headers: { 'User-Agent': 'OrbitWatch/1.0' } }
+    );
+    if (!res.ok) throw new Error(`Search HTTP ${res.status}`);
+    const results = await res.json();
+    return results.map(r => ({
+      name: r.display_name.split(',').slice(0, 2).join(',').trim(),
+      fullName: r.display_name,
+      lat: parseFloat(r.lat),
+      lng: parseFloat(r.lon),
+    }));
+  }
+
+  async function lookupElevation(lat, lng) {
+    try {
+      const res = await fetch(`${ELEVATION_API}?latitude=${lat}&longitude=${lng}`);
+      if (!res.ok) throw new Error(`Elevation HTTP ${res.status}`);
+      const data = await res.json();
+      const elevation = data.elevation && data.elevation[0];
+      return Number.isFinite(elevation) ? elevation : null;
+    } catch (err) {
+      console.warn('Elevation lookup failed:', err);
+      return null;
+    }
+  }
+
+  // --- Persistence ---
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ current, sites }));
+    } catch (err) {
+      console.warn('Location save failed:', err);
+    }
+  }
+
+  function restore() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (!saved) return;
+      if (Array.isArray(saved.sites)) sites = saved.sites;
+      if (saved.current) current = saved.current;
+    } catch (err) {
+      console.warn('Location restore failed:', err);
+    }
+  }
+
+  restore();
+
+  OrbitWatch.locations = {
+    current: getCurrent,
+    set: setCurrent,
+    list,
+    saveSite,
+    removeSite,
+    selectSite,
+    locate,
+    search,
+    formatCoords,
+  };
+
+  // =============================================
+  // LOCATION MANAGER (passes drawer)
+  // =============================================
+  const nameEl = document.getElementById('location-name');
+  const toggleBtn = document.getElementById('location-toggle');
+  const managerEl = document.getElementById('location-manager');
+  const sitesEl = document.getElementById('location-sites');
+  const searchForm = document.getElementById('location-search-form');
+  const resultsEl = document.getElementById('location-results');
+  const coordsForm = document.getElementById('location-coords-form');
+  const saveForm = document.getElementById('location-save-form');
+  const gpsBtn = document.getElementById('location-gps');
+  const pickBtn = document.getElementById('location-pick');
+  const statusEl = document.getElementById('location-status');
+  let picking = false;
+  let searchResults = [];
+
+  function setStatus(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function setPicking(on) {
+    picking = on;
+    if (pickBtn) pickBtn.classList.toggle('active', on);
+    document.body.classList.toggle('picking-location', on);
+    setStatus(on ? 'CLICK A POINT ON THE GLOBE…' : '');
+  }
+
+  function renderCurrent() {
+    if (!nameEl) return;
+    if (!current) {
+      nameEl.textContent = 'NOT SET';
+      return;
+    }
+    const elevation = current.elevation === null ? '' : ` · ${Math.round(current.elevation)} M`;
+    nameEl.textContent = `${current.name}${elevation}`;
+    nameEl.title = formatCoords(current.lat, current.lng);
+  }
+
+  function renderSites() {
+    if (!sitesEl) return;
+    if (sites.length === 0) {
+      sitesEl.innerHTML = '<p class="location-empty">No saved sites yet.</p>';
+      return;
+    }
+    sitesEl.innerHTML = sites.map(site => `
+      <div class="location-site ${current && current.id === site.id ? 'location-site--active' : ''}" data-site-id="${site.id}">
+        <button class="location-site__select" data-action="select">
+          <span class="location-site__name">${escapeHTML(site.name)}</span>
+          <span class="location-site__coords">${formatCoords(site.lat, site.lng)}${site.elevation === null ? '' : ` · ${Math.round(site.elevation)} m`}</span>
+        </button>
+        <button class="location-site__remove" data-action="remove" aria-label="Remove">×</button>
+      </div>
+    `).join('');
+  }
+
+  function render() {
+    renderCurrent();
+    renderSites();
+  }
+
+  if (toggleBtn && managerEl) {
+    toggleBtn.addEventListener('click', () => {
+      managerEl.hidden = !managerEl.hidden;
+      toggleBtn.textContent = managerEl.hidden ? 'CHANGE' : 'DONE';
+      if (managerEl.hidden) setPicking(false);
+    });
+  }
+
+  if (sitesEl) {
+    sitesEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-action]');
+      const row = e.target.closest('[data-site-id]');
+      if (!btn || !row) return;
+      if (btn.dataset.action === 'select') selectSite(row.dataset.siteId);
+      if (btn.dataset.action === 'remove') removeSite(row.dataset.siteId);
+    });
+  }
+
+  if (searchForm && resultsEl) {
+    searchForm.addEventListener('submit', async e => {
+      e.preventDefault();
+      const query = searchForm.elements.query.value.trim();
+      if (!query) return;
+      setStatus(`SEARCHING ${query.toUpperCase()}…`);
+      try {
+        searchResults = await search(query);
+        setStatus(searchResults.length ? '' : 'NO MATCHES');
+        resultsEl.innerHTML = searchResults.map((r, i) => `
+          <button class="location-result" data-result="${i}" title="${escapeHTML(r.fullName)}">
+            <span class="location-result__name">${escapeHTML(r.name)}</span>
+            <span class="location-result__coords">${formatCoords(r.lat, r.lng)}</span>
+          </button>
+        `).join('');
+      } catch (err) {
+        console.warn('Place search failed:', err);
+        setStatus('SEARCH FAILED — TRY COORDINATES');
+      }
+    });
+
+    resultsEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-result]');
+      if (!btn) return;
+      const result = searchResults[btn.dataset.result];
+      setCurrent({ name: result.name, lat: result.lat, lng: result.lng });
+      resultsEl.innerHTML = '';
+      searchForm.reset();
+    });
+  }
+
+  if (coordsForm) {
+    coordsForm.addEventListener('submit', e => {
+      e.preventDefault();
+      const lat = parseFloat(coordsForm.elements.lat.value);
+      const lng = parseFloat(coordsForm.elements.lng.value);
+      const elevationText = coordsForm.elements.elevation.value.trim();
+      if (!(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+        setStatus('LAT −90…90, LON −180…180');
+        return;
+      }
+      setStatus('');
+      setCurrent({ lat, lng, elevation: elevationText === '' ? null : parseFloat(elevationText) });
+      coordsForm.reset();
+    });
+  }
+
+  if (saveForm) {
+    saveForm.addEventListener('submit', e => {
+      e.preventDefault();
+      if (!current) {
+        setStatus('SET A LOCATION FIRST');
+        return;
+      }
+      const site = saveSite(saveForm.elements.name.value.trim());
+      setStatus(`SAVED ${site.name.toUpperCase()}`);
+      saveForm.reset();
+    });
+  }
+
+  if (gpsBtn) {
+    gpsBtn.addEventListener('click', async () => {
+      setStatus('REQUESTING YOUR LOCATION…');
+      try {
+        await locate();
+        setStatus('');
+      } catch (err) {
+        setStatus('LOCATION ACCESS DENIED');
+      }
+    });
+  }
+
+  if (pickBtn) {
+    pickBtn.addEventListener('click', () => setPicking(!picking));
+  }
+
+  document.addEventListener('orbitwatch:globe-click', e => {
+    if (!picking) return;
+    setPicking(false);
+    setCurrent({ lat: e.detail.lat, lng: e.detail.lng });
+  });
+
+  document.addEventListener('orbitwatch:location-change', render);
+  render();
+
+})();
@@ -0,0 +1,224 @@
+/* ============================================
+   ORBITWATCH — Meteor Showers
+   IMO Shower List · Solar Longitude · Radiant Altitude · Hourly Rates · Viewing Map
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { ephemeris, moon } = OrbitWatch;
+
+  // =============================================
+  // SHOWER DATA — IMO Meteor Shower Calendar working list (visual showers)
+  // start / peak / end: solar longitude (J2000, degrees); ra / dec: radiant at peak (degrees)
+  // v: geocentric speed (km/s); r: population index; slope: ZHR falls as 10^(-slope·|Δλ|)
+  // =============================================
+  const SHOWERS = [
+    { code: 'QUA', name: 'Quadrantids', start: 277, peak: 283.15, end: 291, ra: 230, dec: 49, v: 41, r: 2.1, zhr: 110, slope: 0.8, parent: '2003 EH1' },
+    { code: 'GUM', name: 'γ-Ursae Minorids', start: 289, peak: 298, end: 302, ra: 228, dec: 67, v: 31, r: 3.0, zhr: 3, parent: null },
+    { code: 'ACE', name: 'α-Centaurids', start: 311, peak: 319.2, end: 331, ra: 210, dec: -59, v: 58, r: 2.0, zhr: 6, parent: null },
+    { code: 'GNO', name: 'γ-Normids', start: 336, peak: 354, end: 8, ra: 239, dec: -50, v: 56, r: 2.4, zhr: 6, parent: null },
+    { code: 'LYR', name: 'Lyrids', start: 25, peak: 32.32, end: 40, ra: 271, dec: 34, v: 49, r: 2.1, zhr: 18, parent: 'C/1861 G1 (Thatcher)' },
+    { code: 'PPU', name: 'π-Puppids', start: 26, peak: 33.5, end: 38, ra: 110, dec: -45, v: 18, r: 2.0, zhr: 5, variable: true, parent: '26P/Grigg-Skjellerup' },
+    { code: 'ETA', name: 'η-Aquariids', start: 30, peak: 45.5, end: 67, ra: 338, dec: -1, v: 66, r: 2.4, zhr: 50, parent: '1P/Halley' },
+    { code: 'ELY', name: 'η-Lyrids', start: 43, peak: 48.0, end: 54, ra: 287, dec: 44, v: 43, r: 3.0, zhr: 3, parent: 'C/1983 H1 (IRAS-Araki-Alcock)' },
+    { code: 'JBO', name: 'June Boötids', start: 91, peak: 95.7, end: 101, ra: 224, dec: 48, v: 18, r: 2.2, zhr: 5, variable: true, parent: '7P/Pons-Winnecke' },
+    { code: 'PAU', name: 'Piscis Austrinids', start: 113, peak: 125, end: 138, ra: 341, dec: -30, v: 35, r: 3.2, zhr: 5, parent: null },
+    { code: 'SDA', name: 'Southern δ-Aquariids', start: 110, peak: 127, end: 151, ra: 340, dec: -16, v: 41, r: 2.5, zhr: 25, parent: '96P/Machholz' },
+    { code: 'CAP', name: 'α-Capricornids', start: 102, peak: 127, end: 143, ra: 307, dec: -10, v: 23, r: 2.5, zhr: 5, parent: '169P/NEAT' },
+    { code: 'PER', name: 'Perseids', start: 115, peak: 140.0, end: 151, ra: 48, dec: 58, v: 59, r: 2.2, zhr: 100, slope: 0.1, parent: '109P/Swift-Tuttle' },
+    { code: 'KCG', name: 'κ-Cygnids', start: 131, peak: 145, end: 152, ra: 286, dec: 59, v: 23, r: 3.0, zhr: 3, parent: '2008 ED69' },
+    { code: 'AUR', name: 'Aurigids', start: 155, peak: 158.6, end: 163, ra: 91, dec: 39, v: 66, r: 2.5, zhr: 6, parent: 'C/1911 N1 (Kiess)' },
+    { code: 'SPE', name: 'September ε-Perseids', start: 163, peak: 166.7, end: 179, ra: 48, dec: 40, v: 64, r: 3.0, zhr: 5, parent: null },
+    { code: 'DRA', name: 'Draconids', start: 193, peak: 195.4, end: 197, ra: 262, dec: 54, v: 20, r: 2.6, zhr: 10, variable: true, parent: '21P/Giacobini-Zinner' },
+    { code: 'STA', name: 'Southern Taurids', start: 168, peak: 197, end: 238, ra: 32, dec: 9, v: 27, r: 2.3, zhr: 5, parent: '2P/Encke' },
+    { code: 'ORI', name: 'Orionids', start: 189, peak: 208, end: 225, ra: 95, dec: 16, v: 66, r: 2.5, zhr: 20, parent: '1P/Halley' },
+    { code: 'NTA', name: 'Northern Taurids', start: 207, peak: 230, end: 259, ra: 58, dec: 22, v: 29, r: 2.3, zhr: 5, parent: '2P/Encke' },
+    { code: 'LEO', name: 'Leonids', start: 224, peak: 235.27, end: 248, ra: 152, dec: 22, v: 71, r: 2.5, zhr: 15, parent: '55P/Tempel-Tuttle' },
+    { code: 'AMO', name: 'α-Monocerotids', start: 233, peak: 239.32, end: 243, ra: 117, dec: 1, v: 65, r: 2.4, zhr: 5, variable: true, parent: null },
+    { code: 'NOO', name: 'November Orionids', start: 231, peak: 246, end: 255, ra: 91, dec: 16, v: 44, r: 3.0, zhr: 3, parent: null },
+    { code: 'PHO', name: 'Phoenicids', start: 246, peak: 250.0, end: 258, ra: 18, dec: -53, v: 18, r: 2.8, zhr: 5, variable: true, parent: '289P/Blanpain' },
+    { code: 'PUP', name: 'Puppid-Velids', start: 249, peak: 255, end: 264, ra: 123, dec: -45, v: 40, r: 2.9, zhr: 10, parent: null },
+    { code: 'MON', name: 'December Monocerotids', start: 253, peak: 257, end: 269, ra: 100, dec: 8, v: 41, r: 3.0, zhr: 3, parent: 'C/1917 F1 (Mellish)' },
+    { code: 'HYD', name: 'σ-Hydrids', start: 251, peak: 260, end: 269, ra: 125, dec: 2, v: 58, r: 3.0, zhr: 7, parent: null },
+    { code: 'GEM', name: 'Geminids', start: 252, peak: 262.2, end: 269, ra: 112, dec: 33, v: 35, r: 2.6, zhr: 150, slope: 0.4, parent: '3200 Phaethon' },
+    { code: 'COM', name: 'December Leonis Minorids', start: 253, peak: 268, end: 315, ra: 175, dec: 31, v: 64, r: 3.0, zhr: 5, parent: null },
+    { code: 'URS', name: 'Ursids', start: 266, peak: 270.7, end: 275, ra: 217, dec: 76, v: 33, r: 3.0, zhr: 10, parent: '8P/Tuttle' },
+  ];
+
+  const DEG = Math.PI / 180;
+  const DAY_MS = 864e5;
+  const SUN_RATE = 0.98561;      // mean solar longitude gain per day (degrees)
+  const DEFAULT_SLOPE = 0.2;
+  const DARK_SUN_ALT = -12;      // rates are only counted once the sky is properly dark
+  const NIGHT_STEP_MS = 3600000;
+
+  // -180..180 difference of two angles in degrees
+  function angleDiff(a, b) {
+    const d = ((a - b) % 360 + 540) % 360 - 180;
+    return d === -180 ? 180 : d;
+  }
+
+  // =============================================
+  // SOLAR LONGITUDE — peaks recur at the same λ☉, not the same calendar date
+  // =============================================
+  function solarLongitude(date) {
+    const T = (ephemeris.julianDate(date) - 2451545.0) / 36525;
+    const lon = ephemeris.sunPosition(date).longitude / DEG - 1.397 * T; // precess back to J2000
+    return (lon % 360 + 360) % 360;
+  }
+
+  // Instant the Sun reaches `lon` closest to `near` (Newton steps on the mean rate)
+  function timeAtLongitude(lon, near) {
+    let t = near.getTime();
+    for (let i = 0; i < 5; i++) {
+      t += angleDiff(lon, solarLongitude(new Date(t))) / SUN_RATE * DAY_MS;
+    }
+    return new Date(t);
+  }
+
+  // One return of a shower: the peak nearest `near` and its activity window
+  function occurrence(shower, near) {
+    const peak = timeAtLongitude(shower.peak, near);
+    const before = ((shower.peak - shower.start) % 360 + 360) % 360;
+    const after = ((shower.end - shower.peak) % 360 + 360) % 360;
+    return {
+      shower,
+      peak,
+      start: timeAtLongitude(shower.start, new Date(peak.getTime() - before / SUN_RATE * DAY_MS)),
+      end: timeAtLongitude(shower.end, new Date(peak.getTime() + after / SUN_RATE * DAY_MS)),
+    };
+  }
+
+  // The return that is running at `date`, or the next one
+  function nextOccurrence(shower, date) {
+    const occ = occurrence(shower, date);
+    return occ.end < date ? occurrence(shower, new Date(occ.peak.getTime() + 365.25 * DAY_MS)) : occ;
+  }
+
+  // Activity profile around the peak — zero outside the window
+  function zhrAt(shower, date) {
+    const lon = solarLongitude(date);
+    const fromStart = ((lon - shower.start) % 360 + 360) % 360;
+    const span = ((shower.end - shower.start) % 360 + 360) % 360;
+    if (fromStart > span) return 0;
+    return shower.zhr * Math.pow(10, -(shower.slope ?? DEFAULT_SLOPE) * Math.abs(angleDiff(lon, shower.peak)));
+  }
+
+  // =============================================
+  // OBSERVER — radiant height and expected hourly rate
+  // =============================================
+  function radiantAltitude(shower, date, observer) {
+    return ephemeris.altitude(shower.ra * DEG, shower.dec * DEG, date, observer.lat, observer.lng);
+  }
+
+  // HR = ZHR · sin(radiant altitude) · r^-(limiting magnitude lost to moonlight)
+  function hourlyRate(shower, date, observer) {
+    const radiantAlt = radiantAltitude(shower, date, observer);
+    const sunAlt = ephemeris.sunAltitude(date, observer.lat, observer.lng);
+    const moonlight = moon.meteorOutlook(date, observer);
+    const dark = sunAlt < DARK_SUN_ALT && radiantAlt > 0;
+    return {
+      time: date,
+      radiantAlt,
+      sunAlt,
+      moonUp: moonlight.up,
+      moonFraction: moonlight.fraction,
+      rate: dark ? zhrAt(shower, date) * Math.sin(radiantAlt * DEG) * Math.pow(shower.r, -moonlight.lmLoss) : 0,
+    };
+  }
+
+  // Hourly samples through the local night (noon to noon, browser time zone) containing `date`,
+  // keeping the hours with the Sun below the civil horizon
+  function nightCurve(shower, date, observer) {
+    const noon = new Date(date);
+    if (noon.getHours() < 12) noon.setDate(noon.getDate() - 1);
+    noon.setHours(12, 0, 0, 0);
+
+    const samples = [];
+    for (let t = noon.getTime() + NIGHT_STEP_MS; t < noon.getTime() + DAY_MS; t += NIGHT_STEP_MS) {
+      const sample = hourlyRate(shower, new Date(t), observer);
+      if (sample.sunAlt < -6) samples.push(sample);
+    }
+    const best = samples.reduce((a, b) => (b.rate > (a ? a.rate : 0) ? b : a), null);
+    return { samples, best };
+  }
+
+  // Showers active at `date` and those starting within `days`
+  function outlook(date, days) {
+    const active = [];
+    const upcoming = [];
+    SHOWERS.forEach(shower => {
+      const occ = nextOccurrence(shower, date);
+      if (occ.start <= date) active.push(occ);
+      else if (occ.start - date <= days * DAY_MS) upcoming.push(occ);
+    });
+    active.sort((a, b) => zhrAt(b.shower, date) - zhrAt(a.shower, date));
+    upcoming.sort((a, b) => a.start - b.start);
+    return { active, upcoming };
+  }
+
+  // =============================================
+  // VIEWING MAP — best expected rate over the next `hours` on a lat/lng grid
+  // Row 0 is the northern edge and column 0 is 180°W (equirectangular, like the globe texture).
+  // =============================================
+  function viewingGrid(shower, start, { cols = 180, rows = 90, hours = 24 } = {}) {
+    const steps = [];
+    for (let h = 0; h < hours; h++) {
+      const date = new Date(start.getTime() + h * 3600000);
+      const zhr = zhrAt(shower, date);
+      if (zhr <= 0) continue;
+      const sun = ephemeris.sunPosition(date);
+      const moonPos = ephemeris.moonPosition(date);
+      steps.push({ zhr, gmst: ephemeris.gmst(date), sun, moon: moonPos, moonFraction: moon.phase(date).fraction });
+    }
+
+    const values = new Float32Array(cols * rows);
+    const sinDarkAlt = Math.sin(DARK_SUN_ALT * DEG);
+    const raRad = shower.ra * DEG;
+    const sinDec = Math.sin(shower.dec * DEG);
+    const cosDec = Math.cos(shower.dec * DEG);
+    let max = 0;
+
+    for (let row = 0; row < rows; row++) {
+      const lat = (90 - (row + 0.5) * 180 / rows) * DEG;
+      const sinLat = Math.sin(lat);
+      const cosLat = Math.cos(lat);
+
+      for (let col = 0; col < cols; col++) {
+        const lng = (-180 + (col + 0.5) * 360 / cols) * DEG;
+        let best = 0;
+        for (let i = 0; i < steps.length; i++) {
+          const step = steps[i];
+          const lst = step.gmst + lng;
+          const sinSun = sinLat * Math.sin(step.sun.dec) + cosLat * Math.cos(step.sun.dec) * Math.cos(lst - step.sun.ra);
+          if (sinSun > sinDarkAlt) continue;
+          const sinRadiant = sinLat * sinDec + cosLat * cosDec * Math.cos(lst - raRad);
+          if (sinRadiant * step.zhr <= best) continue;
+          const sinMoon = sinLat * Math.sin(step.moon.dec) + cosLat * Math.cos(step.moon.dec) * Math.cos(lst - step.moon.ra);
+          const lmLoss = sinMoon > 0 ? moon.limitingMagnitudeLoss(step.moonFraction, Math.asin(sinMoon) / DEG) : 0;
+          const rate = step.zhr * sinRadiant * Math.pow(shower.r, -lmLoss);
+          if (rate > best) best = rate;
+        }
+        values[row * cols + col] = best;
+        if (best > max) max = best;
+      }
+    }
+    return { cols, rows, values, max };
+  }
+
+  OrbitWatch.meteors = {
+    SHOWERS,
+    solarLongitude,
+    timeAtLongitude,
+    nextOccurrence,
+    zhrAt,
+    radiantAltitude,
+    hourlyRate,
+    nightCurve,
+    outlook,
+    viewingGrid,
+  };
+
+})();
@@ -0,0 +1,273 @@
+/* ============================================
+   ORBITWATCH — Moon
+   Phase · Illumination · Rise/Set · Moonlight
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { ephemeris, escapeHTML } = OrbitWatch;
+
+  const DEG = Math.PI / 180;
+  const SYNODIC_MONTH = 29.530588853; // days
+  const RISE_ALTITUDE = 0.125;        // geocentric altitude at rise/set: parallax less refraction and semi-diameter
+  const RISE_STEP_MS = 10 * 60000;
+  const RISE_SEARCH_MS = 36 * 3600000;
+  const PRECISION_MS = 30000;
+
+  // Moonlight brightens the sky background: a full Moon high up takes about two
+  // magnitudes off the naked-eye limit, and visible meteor rates fall as r^-ΔLM
+  const FULL_MOON_LM_LOSS = 2;
+  const POPULATION_INDEX = 2.5;
+
+  const PHASE_NAMES = [
+    'NEW MOON', 'WAXING CRESCENT', 'FIRST QUARTER', 'WAXING GIBBOUS',
+    'FULL MOON', 'WANING GIBBOUS', 'LAST QUARTER', 'WANING CRESCENT',
+  ];
+
+  // =============================================
+  // PHASE
+  // =============================================
+  function wrap(angle) {
+    const a = angle % (2 * Math.PI);
+    return a < 0 ? a + 2 * Math.PI : a;
+  }
+
+  // Ecliptic longitude of an RA/Dec (radians) — phases are defined by longitude, not RA
+  function eclipticLongitude({ ra, dec }) {
+    const epsilon = 23.439 * DEG;
+    return Math.atan2(Math.sin(ra) * Math.cos(epsilon) + Math.tan(dec) * Math.sin(epsilon), Math.cos(ra));
+  }
+
+  // Position in the synodic cycle, 0 = new, 0.5 = full
+  function cycleAt(date) {
+    const sun = ephemeris.sunPosition(date);
+    const moon = ephemeris.moonPosition(date);
+    return wrap(eclipticLongitude(moon) - eclipticLongitude(sun)) / (2 * Math.PI);
+  }
+
+  function phase(date) {
+    const sun = ephemeris.sunPosition(date);
+    const moon = ephemeris.moonPosition(date);
+    const elongation = Math.acos(
+      Math.sin(sun.dec) * Math.sin(moon.dec)
+      + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+    // Sun–Moon–Earth angle; the lit fraction of the disc follows from it
+    const angle = Math.atan2(sun.distKm * Math.sin(elongation), moon.distKm - sun.distKm * Math.cos(elongation));
+    const cycle = wrap(eclipticLongitude(moon) - eclipticLongitude(sun)) / (2 * Math.PI);
+
+    return {
+      fraction: (1 + Math.cos(angle)) / 2,
+      phaseAngle: angle / DEG,
+      elongation: elongation / DEG,
+      waxing: cycle < 0.5,
+      ageDays: cycle * SYNODIC_MONTH,
+      name: PHASE_NAMES[Math.round(cycle * 8) % 8],
+      distKm: moon.distKm,
+      ra: moon.ra,
+      dec: moon.dec,
+    };
+  }
+
+  // Next time the cycle reaches `target` (0 new, 0.5 full), to the minute
+  function nextPhase(date, target) {
+    const offset = t => {
+      const d = cycleAt(new Date(t)) - target;
+      return d > 0.5 ? d - 1 : d <= -0.5 ? d + 1 : d;
+    };
+    const step = 12 * 3600000;
+    let t = date.getTime();
+    for (let i = 0; i < 62; i++, t += step) {
+      if (offset(t) < 0 && offset(t + step) >= 0) {
+        let lo = t;
+        let hi = t + step;
+        while (hi - lo > 60000) {
+          const mid = (lo + hi) / 2;
+          if (offset(mid) < 0) lo = mid;
+          else hi = mid;
+        }
+        return new Date(hi);
+      }
+    }
+    return null;
+  }
+
+  // =============================================
+  // OBSERVER — topocentric altitude, azimuth, rise and set
+  // =============================================
+  function horizontal(date, lat, lng) {
+    const moon = ephemeris.moonPosition(date);
+    const geoAlt = ephemeris.altitude(moon.ra, moon.dec, date, lat, lng);
+    const hourAngle = ephemeris.gmst(date) + lng * DEG - moon.ra;
+    const az = Math.atan2(
+      Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.sin(lat * DEG) - Math.tan(moon.dec) * Math.cos(lat * DEG)
+    ) / DEG + 180;
+    // Parallax lowers the Moon by up to a degree for an observer on the surface
+    const parallax = Math.asin(ephemeris.EARTH_RADIUS_KM / moon.distKm) / DEG;
+
+    return {
+      altitude: geoAlt - parallax * Math.cos(geoAlt * DEG),
+      azimuth: az % 360,
+    };
+  }
+
+  function riseAltitude(t, lat, lng) {
+    const moon = ephemeris.moonPosition(new Date(t));
+    return ephemeris.altitude(moon.ra, moon.dec, new Date(t), lat, lng) - RISE_ALTITUDE;
+  }
+
+  // Next moonrise and moonset after `date` (either may be null at high latitudes)
+  function riseSet(date, lat, lng) {
+    const found = { rise: null, set: null };
+    let t = date.getTime();
+    let prev = riseAltitude(t, lat, lng);
+    const up = prev > 0;
+
+    for (let end = t + RISE_SEARCH_MS; t < end && !(found.rise && found.set); t += RISE_STEP_MS) {
+      const next = riseAltitude(t + RISE_STEP_MS, lat, lng);
+      if ((prev > 0) !== (next > 0)) {
+        let lo = t;
+        let hi = t + RISE_STEP_MS;
+        while (hi - lo > PRECISION_MS) {
+          const mid = (lo + hi) / 2;
+          if ((riseAltitude(mid, lat, lng) > 0) === (prev > 0)) lo = mid;
+          else hi = mid;
+        }
+        const key = next > 0 ? 'rise' : 'set';
+        if (!found[key]) found[key] = new Date(hi);
+      }
+      prev = next;
+    }
+    return { ...found, up };
+  }
+
+  // Magnitudes of limiting magnitude lost to a Moon `fraction` lit at `altitude` degrees
+  function limitingMagnitudeLoss(fraction, altitude) {
+    return altitude > 0 ? FULL_MOON_LM_LOSS * fraction * Math.sqrt(Math.sin(altitude * DEG)) : 0;
+  }
+
+  // Moonlight penalty for meteor watching at `date`; with no observer the Moon is assumed high
+  function meteorOutlook(date, observer) {
+    const { fraction } = phase(date);
+    const altitude = observer ? horizontal(date, observer.lat, observer.lng).altitude : null;
+    const up = altitude === null || altitude > 0;
+    const lmLoss = altitude === null ? FULL_MOON_LM_LOSS * fraction : limitingMagnitudeLoss(fraction, altitude);
+
+    return {
+      fraction,
+      altitude,
+      up,
+      lmLoss,
+      rateFactor: Math.pow(POPULATION_INDEX, -lmLoss),
+    };
+  }
+
+  OrbitWatch.moon = {
+    phase,
+    nextPhase,
+    horizontal,
+    riseSet,
+    limitingMagnitudeLoss,
+    meteorOutlook,
+  };
+
+  // =============================================
+  // MOON DRAWER
+  // =============================================
+  const contentEl = document.getElementById('moon-content');
+  const subtitleEl = document.getElementById('moon-phase-name');
+  const drawerEl = document.getElementById('drawer-moon');
+  const btnMoon = document.getElementById('btn-moon');
+  if (!contentEl) return;
+
+  const DISC_RADIUS = 60;
+
+  // Lit limb on the right while waxing (northern-hemisphere view), terminator as a half-ellipse
+  function renderDisc({ fraction, waxing }) {
+    const r = DISC_RADIUS;
+    const rx = r * Math.abs(1 - 2 * fraction);
+    const limbSweep = waxing ? 1 : 0;
+    const termSweep = (fraction < 0.5) === waxing ? 0 : 1;
+    return `
+      <svg class="moon-disc" viewBox="${-r - 2} ${-r - 2} ${2 * r + 4} ${2 * r + 4}" role="img"
+        aria-label="${Math.round(fraction * 100)}% illuminated">
+        <circle class="moon-disc__dark" r="${r}"/>
+        <path class="moon-disc__lit" d="M 0 ${-r} A ${r} ${r} 0 0 ${limbSweep} 0 ${r} A ${rx.toFixed(2)} ${r} 0 0 ${termSweep} 0 ${-r} Z"/>
+      </svg>
+    `;
+  }
+
+  function formatTime(date) {
+    if (!date) return '—';
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function formatDay(date) {
+    if (!date) return '—';
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' }).toUpperCase();
+  }
+
+  function statCard(label, value, unit) {
+    return `
+      <div class="stat-card">
+        <span class="stat-card__label">${label}</span>
+        <span class="stat-card__value">${value}</span>
+        ${unit ? `<span class="stat-card__unit">${unit}</span>` : ''}
+      </div>
+    `;
+  }
+
+  function render() {
+    const date = OrbitWatch.clock ? OrbitWatch.clock.date() : new Date();
+    const observer = OrbitWatch.locations ? OrbitWatch.locations.current() : null;
+    const p = phase(date);
+    if (subtitleEl) subtitleEl.textContent = p.name;
+
+    let sky = '<p class="moon-note">Set an observer location in the passes drawer for altitude and rise/set times.</p>';
+    if (observer) {
+      const pos = horizontal(date, observer.lat, observer.lng);
+      const times = riseSet(date, observer.lat, observer.lng);
+      sky = `
+        <div class="stats-grid">
+          ${statCard('ALTITUDE', `${pos.altitude.toFixed(1)}°`, pos.altitude > 0 ? 'ABOVE HORIZON' : 'BELOW HORIZON')}
+          ${statCard('AZIMUTH', `${Math.round(pos.azimuth)}°`, OrbitWatch.passes ? OrbitWatch.passes.compassPoint(pos.azimuth) : '')}
+          ${statCard('MOONRISE', formatTime(times.rise), times.rise ? formatDay(times.rise) : 'NONE IN 36 H')}
+          ${statCard('MOONSET', formatTime(times.set), times.set ? formatDay(times.set) : 'NONE IN 36 H')}
+        </div>
+        <p class="moon-note">For ${escapeHTML(observer.name)}</p>
+      `;
+    }
+
+    contentEl.innerHTML = `
+      <div class="moon-hero">
+        ${renderDisc(p)}
+        <div class="moon-hero__text">
+          <span class="moon-hero__value">${Math.round(p.fraction * 100)}%</span>
+          <span class="moon-hero__label">ILLUMINATED · ${p.ageDays.toFixed(1)} DAYS OLD</span>
+        </div>
+      </div>
+      <div class="stats-grid">
+        ${statCard('DISTANCE', Math.round(p.distKm).toLocaleString(), 'KM')}
+        ${statCard('ELONGATION', `${Math.round(p.elongation)}°`, p.waxing ? 'EVENING SKY' : 'MORNING SKY')}
+        ${statCard('RA', `${(wrap(p.ra) / DEG / 15).toFixed(2)}`, 'HOURS')}
+        ${statCard('DEC', `${(p.dec / DEG).toFixed(1)}°`, '')}
+        ${statCard('NEXT FULL', formatDay(nextPhase(date, 0.5)), '')}
+        ${statCard('NEXT NEW', formatDay(nextPhase(date, 0)), '')}
+      </div>
+      ${sky}
+    `;
+  }
+
+  function isOpen() {
+    return drawerEl && drawerEl.classList.contains('open');
+  }
+
+  if (btnMoon) btnMoon.addEventListener('click', () => setTimeout(render, 100));
+  document.addEventListener('orbitwatch:clock-change', () => { if (isOpen()) render(); });
+  document.addEventListener('orbitwatch:location-change', () => { if (isOpen()) render(); });
+  setInterval(() => { if (isOpen()) render(); }, 60000);
+
+})();
@@ -0,0 +1,178 @@
+/* ============================================
+   ORBITWATCH — Orbit
+   Mean Elements · Apsides · Beta Angle · Decay · Orbital Day/Night
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { ephemeris } = OrbitWatch;
+
+  const DEG = Math.PI / 180;
+  const TWO_PI = 2 * Math.PI;
+  const XKMPER = 6378.135;    // SGP4 (WGS-72) Earth radius; satrec.a is in these units
+  const MU = 398600.8;        // WGS-72 gravitational parameter, km³/s²
+  const REV_FIELD_WRAP = 100000; // the five-digit revolution field rolls over
+  const LIGHT_STEP_MS = 30000;   // shorter than any eclipse worth drawing
+  const LIGHT_PRECISION_MS = 1000;
+
+  // =============================================
+  // TLE FIELDS — the ones satellite.js doesn't keep
+  // =============================================
+
+  // First derivative of mean motion, rev/day² (line 1 carries half of it)
+  function meanMotionDot(line1) {
+    const half = parseFloat((line1 || '').slice(33, 43));
+    return Number.isFinite(half) ? 2 * half : 0;
+  }
+
+  // Revolution number at epoch, modulo 100 000
+  function revAtEpoch(line2) {
+    const rev = parseInt((line2 || '').slice(63, 68), 10);
+    return Number.isFinite(rev) ? rev : null;
+  }
+
+  function epochOf(satrec) {
+    return new Date((satrec.jdsatepoch + (satrec.jdsatepochF || 0) - 2440587.5) * 864e5);
+  }
+
+  // =============================================
+  // BETA ANGLE — Sun elevation above the orbit plane
+  // =============================================
+  function cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x,
+    };
+  }
+
+  function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  // Degrees; positive when the Sun is on the side the orbit normal points to
+  function betaAngle(sat, date) {
+    if (!sat || !sat.satrec) return null;
+    const pv = satellite.propagate(sat.satrec, date);
+    if (!pv.position || !pv.velocity) return null;
+    const normal = cross(pv.position, pv.velocity);
+    const sun = ephemeris.sunEci(date);
+    const sine = dot(normal, sun) / Math.sqrt(dot(normal, normal) * dot(sun, sun));
+    return Math.asin(Math.max(-1, Math.min(1, sine))) / DEG;
+  }
+
+  // =============================================
+  // SUNLIGHT — orbital day and night from SGP4 and the solar ephemeris
+  // =============================================
+  function sunlit(sat, date) {
+    if (!sat || !sat.satrec) return null;
+    const pv = satellite.propagate(sat.satrec, date);
+    if (!pv.position) return null;
+    return ephemeris.isSunlit(pv.position, ephemeris.sunEci(date));
+  }
+
+  // Sunlit / eclipse spans covering `from`–`to`, boundaries bisected to the second
+  function lightSchedule(sat, from, to) {
+    const end = to.getTime();
+    let t = from.getTime();
+    let lit = sunlit(sat, from);
+    if (lit === null) return [];
+
+    const spans = [];
+    let spanStart = t;
+    while (t < end) {
+      const next = Math.min(t + LIGHT_STEP_MS, end);
+      const nextLit = sunlit(sat, new Date(next));
+      if (nextLit !== null && nextLit !== lit) {
+        let lo = t;
+        let hi = next;
+        while (hi - lo > LIGHT_PRECISION_MS) {
+          const mid = (lo + hi) / 2;
+          if (sunlit(sat, new Date(mid)) === lit) lo = mid;
+          else hi = mid;
+        }
+        spans.push({ start: new Date(spanStart), end: new Date(hi), sunlit: lit });
+        spanStart = hi;
+        lit = nextLit;
+      }
+      t = next;
+    }
+    spans.push({ start: new Date(spanStart), end: new Date(end), sunlit: lit });
+    return spans;
+  }
+
+  // Orbital sunrises strictly inside a schedule (its first span is already under way)
+  function sunrises(spans) {
+    return spans.slice(1).filter(span => span.sunlit).map(span => span.start);
+  }
+
+  // =============================================
+  // ELEMENTS — mean elements and what follows from them at `date`
+  // =============================================
+  function elements(sat, date = new Date()) {
+    if (!sat || !sat.satrec) return null;
+    const { satrec } = sat;
+
+    const meanMotion = satrec.no * 1440 / TWO_PI;  // rev/day
+    const periodMin = 1440 / meanMotion;
+    const semiMajorAxisKm = satrec.a
+      ? satrec.a * XKMPER
+      : Math.cbrt(MU / Math.pow(satrec.no / 60, 2));
+    const eccentricity = satrec.ecco;
+
+    const epoch = epochOf(satrec);
+    const days = (date - epoch) / 864e5;
+    const nDot = meanMotionDot(sat.line1);
+
+    // Revolutions count from the ascending node; the argument of latitude at
+    // epoch says how far into the epoch revolution the satellite already was
+    const startRev = revAtEpoch(sat.line2);
+    const fraction = ((satrec.argpo + satrec.mo) / TWO_PI) % 1;
+    const revNumber = startRev === null
+      ? null
+      : startRev + Math.floor(fraction + days * meanMotion + nDot * days * days / 2);
+
+    // Kepler's third law: a ∝ n^(-2/3), so da/dt = -(2/3)·a·(dn/dt)/n
+    const decayKmPerDay = -(2 / 3) * semiMajorAxisKm * nDot / meanMotion;
+
+    return {
+      epoch,
+      epochAgeDays: days,
+      inclination: satrec.inclo / DEG,
+      eccentricity,
+      raan: satrec.nodeo / DEG,
+      argPerigee: satrec.argpo / DEG,
+      meanAnomaly: satrec.mo / DEG,
+      meanMotion,
+      meanMotionDot: nDot,
+      periodMin,
+      semiMajorAxisKm,
+      apogeeKm: semiMajorAxisKm * (1 + eccentricity) - XKMPER,
+      perigeeKm: semiMajorAxisKm * (1 - eccentricity) - XKMPER,
+      meanSpeedKmh: TWO_PI * semiMajorAxisKm / periodMin * 60,
+      revNumber,
+      decayKmPerDay,
+      betaAngle: betaAngle(sat, date),
+    };
+  }
+
+  // The TLE revolution field wraps at 100 000; an estimate from elapsed time
+  // (launch date × mean motion) picks the right lap
+  function unwrapRevolutions(revNumber, estimate) {
+    if (revNumber === null) return Math.floor(estimate);
+    const wraps = Math.round((estimate - revNumber) / REV_FIELD_WRAP);
+    return revNumber + Math.max(0, wraps) * REV_FIELD_WRAP;
+  }
+
+  OrbitWatch.orbit = {
+    elements,
+    betaAngle,
+    unwrapRevolutions,
+    sunlit,
+    lightSchedule,
+    sunrises,
+  };
+
+})();
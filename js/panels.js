@@ -6,6 +6,8 @@
 (() => {
   'use strict';
 
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+
   // =============================================
   // DRAWER SYSTEM
   // =============================================
@@ -44,6 +46,7 @@
     if (id === 'drawer-speed') initSpeedBars();
     if (id === 'drawer-stats') initStats();
     if (id === 'drawer-telemetry') initTelemetry();
+    emitDrawerChange();
   }
 
   function closeDrawer() {
@@ -56,6 +59,14 @@
 
     // Remove active from drawer buttons
     drawerBtns.forEach(btn => btn.classList.remove('active'));
+    emitDrawerChange();
+  }
+
+  // Deep links and back/forward (share.js) follow which drawer is open
+  function emitDrawerChange() {
+    document.dispatchEvent(new CustomEvent('orbitwatch:drawer-change', {
+      detail: { id: activeDrawer ? activeDrawer.id : null },
+    }));
   }
 
   // Bind drawer buttons
@@ -180,7 +191,7 @@
   // =============================================
   // SPEED COMPARISON
   // =============================================
-  const ISS_SPEED_KMH = 27600;
+  const ISS_SPEED_KMH = 27600; // until the ISS elements load
 
   const speedComparisons = [
     { name: 'WALKING', speed: 5, icon: '🚶' },
@@ -197,16 +208,20 @@
 
   function initSpeedBars() {
     if (speedInitialized) return;
-    speedInitialized = true;
 
     const container = document.getElementById('speed-bars');
     if (!container) return;
 
+    const el = issElements(new Date());
+    const issSpeed = el ? Math.round(el.meanSpeedKmh) : ISS_SPEED_KMH;
+    speedInitialized = Boolean(el);
+    speedComparisons.find(item => item.isISS).speed = issSpeed;
+
     container.innerHTML = '';
 
     speedComparisons.forEach((item, i) => {
-      const percent = (item.speed / ISS_SPEED_KMH) * 100;
-      const multiplier = item.isISS ? '' : `${Math.round(ISS_SPEED_KMH / item.speed)}x slower`;
+      const percent = (item.speed / issSpeed) * 100;
+      const multiplier = item.isISS ? '' : `${Math.round(issSpeed / item.speed)}x slower`;
 
       const bar = document.createElement('div');
       bar.className = `speed-bar ${item.isISS ? 'speed-bar--iss' : ''}`;
@@ -232,161 +247,502 @@
   }
 
   // =============================================
-  // ISS STATS DASHBOARD
+  // ISS STATS DASHBOARD — derived from the live TLE via orbit.js
   // =============================================
   const ISS_LAUNCH = new Date('1998-11-20T06:40:00Z');
-  const ORBITAL_PERIOD_MIN = 92.68; // minutes per orbit
-  const ISS_SPEED_KM_PER_SEC = ISS_SPEED_KMH / 3600;
+  const STATS_REFRESH_MS = 10000;
+  const LIGHT_WINDOW_MS = 24 * 3600000;
+  const LIGHT_CACHE_MS = 3600000;   // the schedule is computed an hour long and sliced
 
-  let statsInitialized = false;
+  let statsInterval = null;
   let sunriseInterval = null;
-  let pageOpenTime = Date.now();
+  let lightCache = null;
+  const pageOpenTime = Date.now();
+  let sunriseCount = 0;
+  let sunriseCountedTo = pageOpenTime;
+
+  function issSat() {
+    const { catalog } = OrbitWatch;
+    return catalog ? catalog.get(catalog.ISS_ID) : null;
+  }
 
-  function initStats() {
+  function issElements(date) {
+    return OrbitWatch.orbit ? OrbitWatch.orbit.elements(issSat(), date) : null;
+  }
+
+  // Sunlit / eclipse spans of the ISS for the next 24 h from `now` (ms)
+  function issLightSchedule(now) {
+    const iss = issSat();
+    if (!iss || !iss.satrec) return [];
+    if (!lightCache || lightCache.line1 !== iss.line1 || now < lightCache.from || now - lightCache.from > LIGHT_CACHE_MS) {
+      lightCache = {
+        line1: iss.line1,
+        from: now,
+        spans: OrbitWatch.orbit.lightSchedule(iss, new Date(now), new Date(now + LIGHT_WINDOW_MS + LIGHT_CACHE_MS)),
+      };
+    }
+    const end = now + LIGHT_WINDOW_MS;
+    return lightCache.spans
+      .filter(span => span.end > now && span.start < end)
+      .map(span => ({
+        start: new Date(Math.max(span.start, now)),
+        end: new Date(Math.min(span.end, end)),
+        sunlit: span.sunlit,
+      }));
+  }
+
+  function statCard(label, value, unit) {
+    return `
+      <div class="stat-card">
+        <span class="stat-card__label">${label}</span>
+        <span class="stat-card__value">${value}</span>
+        <span class="stat-card__unit">${unit}</span>
+      </div>
+    `;
+  }
+
+  function formatSigned(value, decimals) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(decimals)}`;
+  }
+
+  function renderStats() {
     const container = document.getElementById('stats-grid');
+    const orbitGrid = document.getElementById('orbit-grid');
+    const noteEl = document.getElementById('orbit-note');
     if (!container) return;
 
-    const now = new Date();
-    const msSinceLaunch = now - ISS_LAUNCH;
-    const daysSinceLaunch = msSinceLaunch / (1000 * 60 * 60 * 24);
-    const totalOrbits = Math.floor((daysSinceLaunch * 24 * 60) / ORBITAL_PERIOD_MIN);
-    const totalDistKm = totalOrbits * 2 * Math.PI * (6371 + 408); // Earth radius + altitude
-    const totalDistBn = (totalDistKm / 1e9).toFixed(2);
-    const sunrisesPerDay = Math.floor((24 * 60) / ORBITAL_PERIOD_MIN);
-
-    const stats = [
-      { label: 'DAYS IN ORBIT', value: Math.floor(daysSinceLaunch).toLocaleString(), unit: 'DAYS' },
-      { label: 'YEARS IN SPACE', value: (daysSinceLaunch / 365.25).toFixed(1), unit: 'YEARS' },
-      { label: 'TOTAL ORBITS', value: totalOrbits.toLocaleString(), unit: 'ORBITS' },
-      { label: 'DISTANCE TRAVELED', value: totalDistBn, unit: 'BILLION KM' },
-      { label: 'SUNRISES PER DAY', value: sunrisesPerDay.toString(), unit: 'SUNRISES' },
-      { label: 'ORBITAL PERIOD', value: ORBITAL_PERIOD_MIN.toFixed(1), unit: 'MINUTES' },
-    ];
+    const now = OrbitWatch.clock ? OrbitWatch.clock.date() : new Date();
+    const el = issElements(now);
+    const daysSinceLaunch = (now - ISS_LAUNCH) / (1000 * 60 * 60 * 24);
+
+    if (!el) {
+      container.innerHTML = [
+        statCard('DAYS IN ORBIT', Math.floor(daysSinceLaunch).toLocaleString(), 'DAYS'),
+        statCard('YEARS IN SPACE', (daysSinceLaunch / 365.25).toFixed(1), 'YEARS'),
+      ].join('');
+      if (orbitGrid) orbitGrid.innerHTML = '';
+      if (noteEl) noteEl.textContent = 'Waiting for orbital elements…';
+      return;
+    }
 
-    container.innerHTML = '';
-    stats.forEach(stat => {
-      const card = document.createElement('div');
-      card.className = 'stat-card';
-      card.innerHTML = `
-        <span class="stat-card__label">${stat.label}</span>
-        <span class="stat-card__value">${stat.value}</span>
-        <span class="stat-card__unit">${stat.unit}</span>
-      `;
-      container.appendChild(card);
-    });
+    const totalOrbits = OrbitWatch.orbit.unwrapRevolutions(el.revNumber, daysSinceLaunch * el.meanMotion);
+    const totalDistKm = totalOrbits * 2 * Math.PI * el.semiMajorAxisKm;
+    const spans = issLightSchedule(now.getTime());
+    const sunrisesAhead = OrbitWatch.orbit.sunrises(spans);
+
+    container.innerHTML = [
+      statCard('DAYS IN ORBIT', Math.floor(daysSinceLaunch).toLocaleString(), 'DAYS'),
+      statCard('YEARS IN SPACE', (daysSinceLaunch / 365.25).toFixed(1), 'YEARS'),
+      statCard('TOTAL ORBITS', totalOrbits.toLocaleString(), 'REVOLUTION NUMBER'),
+      statCard('DISTANCE TRAVELED', (totalDistKm / 1e9).toFixed(2), 'BILLION KM'),
+      statCard('SUNRISES PER DAY', sunrisesAhead.length.toString(), 'IN THE NEXT 24 H'),
+      statCard('ORBITAL PERIOD', el.periodMin.toFixed(2), 'MINUTES'),
+    ].join('');
+
+    if (orbitGrid) {
+      orbitGrid.innerHTML = [
+        statCard('APOGEE', el.apogeeKm.toFixed(1), 'KM'),
+        statCard('PERIGEE', el.perigeeKm.toFixed(1), 'KM'),
+        statCard('INCLINATION', `${el.inclination.toFixed(2)}°`, 'TO EQUATOR'),
+        statCard('ECCENTRICITY', el.eccentricity.toFixed(5), ''),
+        statCard('MEAN MOTION', el.meanMotion.toFixed(5), 'REV / DAY'),
+        statCard('MEAN SPEED', Math.round(el.meanSpeedKmh).toLocaleString(), 'KM/H'),
+        statCard('DECAY RATE', formatSigned(el.decayKmPerDay * 1000, 0), 'M / DAY'),
+        statCard('SEMI-MAJOR AXIS', Math.round(el.semiMajorAxisKm).toLocaleString(), 'KM'),
+      ].join('');
+    }
+
+    renderLight(el, spans, now);
+
+    if (noteEl) {
+      const age = Math.abs(el.epochAgeDays);
+      noteEl.textContent = `From the TLE of ${el.epoch.toISOString().slice(0, 16).replace('T', ' ')} UTC`
+        + ` · ${age < 1 ? `${Math.round(age * 24)} h` : `${age.toFixed(1)} days`} ${el.epochAgeDays < 0 ? 'ahead' : 'old'}`;
+    }
+  }
+
+  function formatClock(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function formatIn(ms) {
+    const min = Math.round(ms / 60000);
+    return min < 60 ? `IN ${min} MIN` : `IN ${Math.floor(min / 60)} H ${min % 60} MIN`;
+  }
+
+  // Orbital day/night bar for the next 24 h, with beta angle and eclipse figures
+  function renderLight(el, spans, now) {
+    const timelineEl = document.getElementById('light-timeline');
+    const gridEl = document.getElementById('light-grid');
+    if (!timelineEl || !gridEl) return;
+
+    const from = now.getTime();
+    const pct = ms => (ms / LIGHT_WINDOW_MS * 100).toFixed(3);
+    timelineEl.innerHTML = spans.map(span => `
+      <span class="light-timeline__span light-timeline__span--${span.sunlit ? 'day' : 'night'}"
+        style="left: ${pct(span.start - from)}%; width: ${pct(span.end - span.start)}%"
+        title="${span.sunlit ? 'Sunlit' : 'Eclipse'} ${formatClock(span.start)}–${formatClock(span.end)}"></span>
+    `).join('') + [0, 6, 12, 18, 24].map(h => `
+      <span class="light-timeline__tick${h === 0 ? ' light-timeline__tick--start' : h === 24 ? ' light-timeline__tick--end' : ''}"
+        style="left: ${pct(h * 3600000)}%">${h ? `+${h} H` : 'NOW'}</span>
+    `).join('');
+
+    const current = spans[0];
+    const next = spans[1];
+    const eclipses = spans.filter((span, i) => !span.sunlit && i > 0 && i < spans.length - 1);
+    const longest = eclipses.reduce((max, span) => Math.max(max, span.end - span.start), 0);
+    const sunlitMs = spans.filter(span => span.sunlit).reduce((sum, span) => sum + (span.end - span.start), 0);
+
+    gridEl.innerHTML = [
+      statCard('BETA ANGLE', el.betaAngle === null ? '—' : `${formatSigned(el.betaAngle, 1)}°`, 'SUN TO ORBIT PLANE'),
+      statCard('NOW', current ? (current.sunlit ? 'SUNLIT' : 'ECLIPSE') : '—', next ? `${next.sunlit ? 'SUNRISE' : 'SUNSET'} ${formatIn(next.start - from)}` : 'NO CHANGE IN 24 H'),
+      statCard('LONGEST ECLIPSE', longest ? (longest / 60000).toFixed(1) : '0', longest ? 'MINUTES' : 'CONTINUOUS SUNLIGHT'),
+      statCard('IN SUNLIGHT', Math.round(sunlitMs / LIGHT_WINDOW_MS * 100).toString(), '% OF THE NEXT 24 H'),
+    ].join('');
+  }
+
+  // Real orbital sunrises of the ISS since the page opened, counted span by span
+  function countSunrises() {
+    const iss = issSat();
+    if (!iss || !iss.satrec) return;
+    const now = Date.now();
+    const spans = OrbitWatch.orbit.lightSchedule(iss, new Date(sunriseCountedTo), new Date(now));
+    sunriseCount += OrbitWatch.orbit.sunrises(spans).length;
+    sunriseCountedTo = now;
+  }
 
-    // Sunrise counter (ISS sees a sunrise every ~92.68 minutes ≈ 5560 seconds)
+  function initStats() {
+    renderStats();
+    if (!statsInterval) {
+      statsInterval = setInterval(() => {
+        if (activeDrawer && activeDrawer.id === 'drawer-stats') renderStats();
+      }, STATS_REFRESH_MS);
+    }
+
+    // Sunrise counter — transitions from eclipse to sunlight, none at all at high beta
     if (!sunriseInterval) {
-      const SUNRISE_INTERVAL_SEC = ORBITAL_PERIOD_MIN * 60;
       const counterEl = document.getElementById('sunrise-counter');
 
       sunriseInterval = setInterval(() => {
-        if (counterEl) {
-          const elapsed = (Date.now() - pageOpenTime) / 1000;
-          const sunrises = Math.floor(elapsed / SUNRISE_INTERVAL_SEC);
-          counterEl.textContent = sunrises.toString();
-        }
+        countSunrises();
+        if (counterEl) counterEl.textContent = sunriseCount.toString();
       }, 1000);
     }
   }
 
+  ['catalog-change', 'clock-change'].forEach(name => {
+    document.addEventListener(`orbitwatch:${name}`, () => {
+      if (activeDrawer && activeDrawer.id === 'drawer-stats') renderStats();
+    });
+  });
+
+  // New ISS elements, new mean speed for the comparison bars
+  document.addEventListener('orbitwatch:catalog-change', () => { speedInitialized = false; });
+
   // =============================================
-  // TELEMETRY (Estimated)
+  // TELEMETRY — channels, history and alarms from telemetry.js
   // =============================================
-  let telemetryInitialized = false;
-  let telemetryInterval = null;
-
-  const TELEMETRY_SPECS = {
-    solarArrayOutput: { min: 75, max: 120, unit: 'KW', label: 'SOLAR ARRAY OUTPUT' },
-    batteryCharge: { min: 60, max: 100, unit: '%', label: 'BATTERY CHARGE' },
-    cabinTemp: { min: 18.3, max: 26.7, decimals: 1, unit: '°C', label: 'CABIN TEMPERATURE' },
-    cabinPressure: { min: 979, max: 1027, unit: 'hPa', label: 'CABIN PRESSURE' },
-    o2Level: { min: 19.5, max: 23.5, decimals: 1, unit: '%', label: 'O₂ LEVEL' },
-    co2Level: { min: 0.1, max: 0.5, decimals: 2, unit: '%', label: 'CO₂ LEVEL' },
-    humidity: { min: 25, max: 75, unit: '%', label: 'HUMIDITY' },
-    solarAngle: { min: 0, max: 360, unit: '°', label: 'SOLAR ARRAY ANGLE' },
-  };
+  const telemetrySourcesEl = document.getElementById('telemetry-sources');
+  const telemetryStatusEl = document.getElementById('telemetry-status');
+  const telemetryGridEl = document.getElementById('telemetry-grid');
+  const telemetryAlarmsEl = document.getElementById('telemetry-alarms');
+  const telemetryLogEl = document.getElementById('telemetry-log-list');
+  const telemetryLogCountEl = document.getElementById('telemetry-log-count');
+  const drawerTelemetry = document.getElementById('drawer-telemetry');
+  const btnTelemetry = document.getElementById('btn-telemetry');
+
+  const PROVENANCE_TEXT = { live: 'LIVE', stale: 'STALE', simulated: 'SIMULATED' };
+  const LIMIT_LABELS = { warningLow: 'WARN <', cautionLow: 'CAUT <', cautionHigh: 'CAUT >', warningHigh: 'WARN >' };
+  const SPARK = { width: 200, height: 28 };
+  const CHART = { width: 300, height: 110, pad: 34 };
+
+  function formatAge(ms) {
+    const s = Math.max(0, Math.round(ms / 1000));
+    if (s < 60) return `${s}S`;
+    if (s < 3600) return `${Math.round(s / 60)} MIN`;
+    return `${Math.round(s / 3600)} H`;
+  }
 
-  function generateTelemetryValue(spec) {
-    const range = spec.max - spec.min;
-    // Use a sine wave with noise to simulate realistic fluctuation
-    const t = Date.now() / 60000; // slowly changing
-    const base = spec.min + range * (0.5 + 0.4 * Math.sin(t * 0.7));
-    const noise = (Math.random() - 0.5) * range * 0.05;
-    let value = Math.max(spec.min, Math.min(spec.max, base + noise));
-    if (spec.decimals !== undefined) {
-      value = value.toFixed(spec.decimals);
-    } else {
-      value = Math.round(value);
-    }
-    return value;
+  function formatReading(param, value) {
+    return param.decimals !== undefined ? value.toFixed(param.decimals) : Math.round(value).toLocaleString();
   }
 
   function initTelemetry() {
+    const { telemetry } = OrbitWatch;
+    if (!telemetry) return;
+    telemetry.start();
+    renderTelemetrySources();
     renderTelemetry();
+  }
 
-    if (!telemetryInterval) {
-      telemetryInterval = setInterval(renderTelemetry, 3000);
-    }
+  function renderTelemetrySources() {
+    if (!telemetrySourcesEl) return;
+    const { sourceId } = OrbitWatch.telemetry.status();
+    const options = OrbitWatch.telemetry.sources().concat({ id: 'simulator', label: 'SIMULATOR' });
+    telemetrySourcesEl.innerHTML = options.map(({ id, label }) => `
+      <button class="pass-filter__btn ${id === sourceId ? 'active' : ''}" data-telemetry-source="${id}">${label}</button>
+    `).join('');
+  }
+
+  // History as a line against the channel's limits. Samples are evenly spaced, so x is the
+  // sample index, right-aligned; simulated stretches are drawn dashed.
+  function renderChart({ param, history, limits }, { width, height, pad = 0 }, className) {
+    const { SAMPLE_MS, HISTORY_SIZE } = OrbitWatch.telemetry;
+    const bounds = OrbitWatch.telemetry.LIMIT_KEYS.map(k => limits[k]).filter(v => v !== null && v !== undefined);
+    const values = history.map(h => h.value).concat(bounds);
+    const lo = Math.min(param.min, ...values);
+    const hi = Math.max(param.max, ...values);
+    const plotWidth = width - pad;
+    const x = i => pad + plotWidth - (history.length - 1 - i) * plotWidth / (HISTORY_SIZE - 1);
+    const y = v => height - 2 - (v - lo) / (hi - lo || 1) * (height - 4);
+
+    const runs = [];
+    history.forEach((h, i) => {
+      const last = runs[runs.length - 1];
+      const point = `${x(i).toFixed(1)},${y(h.value).toFixed(1)}`;
+      if (last && last.provenance === h.provenance) last.points.push(point);
+      else runs.push({ provenance: h.provenance, points: last ? [last.points[last.points.length - 1], point] : [point] });
+    });
+
+    const limitLines = OrbitWatch.telemetry.LIMIT_KEYS
+      .filter(k => limits[k] !== null && limits[k] !== undefined)
+      .map(k => `<line class="telemetry-chart__limit telemetry-chart__limit--${k.startsWith('warning') ? 'warning' : 'caution'}"
+        x1="${pad}" x2="${width}" y1="${y(limits[k]).toFixed(1)}" y2="${y(limits[k]).toFixed(1)}"/>`)
+      .join('');
+    const axis = pad ? `
+      <text class="telemetry-chart__label" x="0" y="9">${formatReading(param, hi)}</text>
+      <text class="telemetry-chart__label" x="0" y="${height - 2}">${formatReading(param, lo)}</text>
+      <text class="telemetry-chart__label" x="${pad}" y="${height - 2}">-${Math.round(HISTORY_SIZE * SAMPLE_MS / 60000)} MIN</text>
+    ` : '';
+
+    return `
+      <svg class="${className}" viewBox="0 0 ${width} ${height}" ${pad ? '' : 'preserveAspectRatio="none"'} aria-hidden="true">
+        ${axis}
+        ${limitLines}
+        ${runs.map(run => `<polyline class="telemetry-chart__line telemetry-chart__line--${run.provenance}" points="${run.points.join(' ')}"/>`).join('')}
+      </svg>
+    `;
+  }
+
+  function renderLimitsForm({ param, limits, customLimits }) {
+    return `
+      <form class="telemetry-limits" data-telemetry-limits="${param.key}">
+        ${OrbitWatch.telemetry.LIMIT_KEYS.map(k => `
+          <label class="pass-settings__field">
+            <span class="pass-settings__label">${LIMIT_LABELS[k]}</span>
+            <input class="pass-settings__input pass-settings__input--narrow" type="number" step="any" name="${k}"
+              value="${limits[k] ?? ''}">
+          </label>
+        `).join('')}
+        <button class="pass-filter__btn" type="submit">SET</button>
+        ${customLimits ? '<button class="pass-filter__btn" type="button" data-telemetry-reset>DEFAULTS</button>' : ''}
+      </form>
+    `;
+  }
+
+  function createTelemetryCard({ param }) {
+    const card = document.createElement('div');
+    card.className = 'telemetry-card';
+    card.id = `telem-${param.key}`;
+    card.innerHTML = `
+      <div class="telemetry-card__summary" role="button" tabindex="0" aria-expanded="false">
+        <div class="telemetry-card__head">
+          <span class="telemetry-card__label">${param.label}</span>
+          <span class="telemetry-card__source"></span>
+        </div>
+        <div class="telemetry-card__row">
+          <span class="telemetry-card__value">—</span>
+          <span class="telemetry-card__unit">${param.unit}</span>
+        </div>
+        <div class="telemetry-card__spark"></div>
+      </div>
+      <div class="telemetry-card__detail" hidden>
+        <div class="telemetry-card__chart"></div>
+        <div class="telemetry-card__limits"></div>
+      </div>
+    `;
+    return card;
   }
 
   function renderTelemetry() {
-    const container = document.getElementById('telemetry-grid');
-    if (!container) return;
+    if (!telemetryGridEl || !OrbitWatch.telemetry) return;
+    const channels = OrbitWatch.telemetry.channels();
+    const status = OrbitWatch.telemetry.status();
 
-    // Only create cards once, then update values
-    if (container.children.length === 0) {
-      Object.keys(TELEMETRY_SPECS).forEach(key => {
-        const spec = TELEMETRY_SPECS[key];
-        const card = document.createElement('div');
-        card.className = 'telemetry-card';
-        card.id = `telem-${key}`;
-        card.innerHTML = `
-          <span class="telemetry-card__label">${spec.label}</span>
-          <div class="telemetry-card__row">
-            <span class="telemetry-card__value">—</span>
-            <span class="telemetry-card__unit">${spec.unit}</span>
-          </div>
-          <div class="telemetry-card__bar">
-            <div class="telemetry-card__fill"></div>
-          </div>
-        `;
-        container.appendChild(card);
-      });
+    if (telemetryStatusEl) {
+      telemetryStatusEl.textContent = `${status.label} · ${status.text}`;
+      telemetryStatusEl.dataset.state = status.state;
     }
 
-    // Update values
-    Object.keys(TELEMETRY_SPECS).forEach(key => {
-      const spec = TELEMETRY_SPECS[key];
-      const card = document.getElementById(`telem-${key}`);
-      if (!card) return;
+    // Only create cards once, then update values
+    if (telemetryGridEl.children.length === 0) {
+      channels.forEach(channel => telemetryGridEl.appendChild(createTelemetryCard(channel)));
+    }
 
-      const val = generateTelemetryValue(spec);
-      const numVal = parseFloat(val);
-      const percent = ((numVal - spec.min) / (spec.max - spec.min)) * 100;
+    const now = Date.now();
+    channels.forEach(channel => {
+      const { param, reading, alarm } = channel;
+      const card = document.getElementById(`telem-${param.key}`);
+      if (!card || !reading) return;
 
       const valueEl = card.querySelector('.telemetry-card__value');
-      const fillEl = card.querySelector('.telemetry-card__fill');
-
-      if (valueEl) {
-        valueEl.textContent = typeof val === 'number' ? val.toLocaleString() : val;
+      const sourceEl = card.querySelector('.telemetry-card__source');
+      const text = formatReading(param, reading.value);
+
+      card.dataset.provenance = reading.provenance;
+      card.classList.toggle('telemetry-card--caution', !!alarm && alarm.level === 'caution');
+      card.classList.toggle('telemetry-card--warning', !!alarm && alarm.level === 'warning');
+      card.classList.toggle('telemetry-card--unacked', !!alarm && !alarm.acknowledged);
+
+      sourceEl.className = `telemetry-card__source telemetry-card__source--${reading.provenance}`;
+      sourceEl.textContent = reading.provenance === 'simulated'
+        ? PROVENANCE_TEXT.simulated
+        : `${PROVENANCE_TEXT[reading.provenance]} · ${formatAge(now - reading.at)}`;
+      sourceEl.title = reading.provenance === 'simulated'
+        ? (param.pui ? 'Feed unavailable — simulated value' : 'No public feed for this parameter — simulated value')
+        : `${status.label} · ${param.pui} · ${new Date(reading.at).toLocaleTimeString()}`;
+
+      if (valueEl.textContent !== text) {
+        valueEl.textContent = text;
         valueEl.classList.add('updating');
         setTimeout(() => valueEl.classList.remove('updating'), 600);
       }
-      if (fillEl) {
-        fillEl.style.width = `${Math.max(0, Math.min(100, percent))}%`;
-        // Color based on how "normal" the value is (green in middle, yellow at edges)
-        if (percent > 30 && percent < 70) {
-          fillEl.style.background = 'var(--accent)';
-        } else if (percent > 15 && percent < 85) {
-          fillEl.style.background = '#ffc107';
-        } else {
-          fillEl.style.background = '#ff5252';
-        }
+
+      card.querySelector('.telemetry-card__spark').innerHTML = renderChart(channel, SPARK, 'telemetry-chart telemetry-chart--spark');
+      if (card.classList.contains('telemetry-card--expanded')) {
+        card.querySelector('.telemetry-card__chart').innerHTML = renderChart(channel, CHART, 'telemetry-chart');
       }
     });
+
+    renderTelemetryAlarms();
   }
 
+  function renderTelemetryAlarms() {
+    const { telemetry } = OrbitWatch;
+    const alarms = telemetry.alarms();
+    const unacked = alarms.filter(a => !a.acknowledged);
+
+    if (telemetryAlarmsEl) {
+      telemetryAlarmsEl.dataset.level = alarms.some(a => a.level === 'warning') ? 'warning' : alarms.length ? 'caution' : 'nominal';
+      telemetryAlarmsEl.innerHTML = alarms.length === 0
+        ? '<span class="telemetry-alarms__nominal">ALL CHANNELS NOMINAL</span>'
+        : `
+          <div class="telemetry-alarms__head">
+            <span class="telemetry-alarms__title">${alarms.length} ACTIVE ${alarms.length === 1 ? 'ALARM' : 'ALARMS'}</span>
+            <button class="pass-filter__btn" data-telemetry-action="silence"
+              ${alarms.every(a => a.silenced) ? 'disabled' : ''}>SILENCE</button>
+            <button class="pass-filter__btn" data-telemetry-action="ack" ${unacked.length ? '' : 'disabled'}>ACK ALL</button>
+          </div>
+          ${alarms.map(a => `
+            <div class="telemetry-alarm telemetry-alarm--${a.level} ${a.acknowledged ? '' : 'telemetry-alarm--unacked'}">
+              <span class="telemetry-alarm__level">${a.level.toUpperCase()}</span>
+              <span class="telemetry-alarm__label">${a.param.label}</span>
+              <span class="telemetry-alarm__value">${formatReading(a.param, a.value)} ${a.param.unit}${a.provenance === 'simulated' ? ' · SIM' : ''}</span>
+              ${a.acknowledged ? '<span class="telemetry-alarm__ack">ACK</span>'
+                : `<button class="telemetry-alarm__btn" data-telemetry-ack="${a.param.key}">ACK</button>`}
+            </div>
+          `).join('')}
+        `;
+    }
+
+    if (telemetryLogEl) {
+      const log = telemetry.log();
+      if (telemetryLogCountEl) telemetryLogCountEl.textContent = log.length;
+      const params = telemetry.PARAMETERS;
+      telemetryLogEl.innerHTML = log.map(entry => `
+        <li class="telemetry-log__entry telemetry-log__entry--${entry.event}">
+          <span class="telemetry-log__time">${new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}</span>
+          <span class="telemetry-log__event">${entry.event === 'clear' ? 'RTN' : entry.event.toUpperCase()}</span>
+          <span class="telemetry-log__label">${entry.label}</span>
+          <span class="telemetry-log__value">${formatReading(params.find(p => p.key === entry.key), entry.value)} ${entry.unit}${entry.provenance === 'simulated' ? ' · SIM' : ''}</span>
+        </li>
+      `).join('');
+    }
+  }
+
+  // Toolbar dot: flashing while an alarm is unacknowledged, steady until it clears
+  function updateTelemetryBadge(alarms) {
+    if (!btnTelemetry) return;
+    const existingBadge = btnTelemetry.querySelector('.toolbar__badge');
+    if (existingBadge) existingBadge.remove();
+    if (alarms.length === 0) return;
+
+    const badge = document.createElement('span');
+    badge.className = 'toolbar__badge';
+    if (!alarms.some(a => a.level === 'warning')) badge.classList.add('toolbar__badge--caution');
+    if (alarms.some(a => !a.acknowledged)) badge.classList.add('toolbar__badge--alarm');
+    btnTelemetry.appendChild(badge);
+  }
+
+  function toggleTelemetryCard(card) {
+    const expanded = card.classList.toggle('telemetry-card--expanded');
+    const channel = OrbitWatch.telemetry.channels().find(c => `telem-${c.param.key}` === card.id);
+    card.querySelector('.telemetry-card__summary').setAttribute('aria-expanded', expanded);
+    card.querySelector('.telemetry-card__detail').hidden = !expanded;
+    if (!expanded || !channel) return;
+    card.querySelector('.telemetry-card__chart').innerHTML = renderChart(channel, CHART, 'telemetry-chart');
+    card.querySelector('.telemetry-card__limits').innerHTML = renderLimitsForm(channel);
+  }
+
+  if (telemetrySourcesEl) {
+    telemetrySourcesEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-telemetry-source]');
+      if (!btn || !OrbitWatch.telemetry) return;
+      OrbitWatch.telemetry.use(btn.dataset.telemetrySource);
+      renderTelemetrySources();
+      renderTelemetry();
+    });
+  }
+
+  if (telemetryAlarmsEl) {
+    telemetryAlarmsEl.addEventListener('click', e => {
+      const ack = e.target.closest('[data-telemetry-ack]');
+      const action = e.target.closest('[data-telemetry-action]');
+      if (ack) OrbitWatch.telemetry.acknowledge(ack.dataset.telemetryAck);
+      else if (action && action.dataset.telemetryAction === 'ack') OrbitWatch.telemetry.acknowledge();
+      else if (action && action.dataset.telemetryAction === 'silence') OrbitWatch.telemetry.silence();
+    });
+  }
+
+  if (telemetryGridEl) {
+    telemetryGridEl.addEventListener('click', e => {
+      const summary = e.target.closest('.telemetry-card__summary');
+      if (summary) toggleTelemetryCard(summary.parentElement);
+
+      const reset = e.target.closest('[data-telemetry-reset]');
+      if (!reset) return;
+      const form = reset.closest('form');
+      OrbitWatch.telemetry.resetLimits(form.dataset.telemetryLimits);
+      const card = form.closest('.telemetry-card');
+      card.querySelector('.telemetry-card__limits').innerHTML = renderLimitsForm(
+        OrbitWatch.telemetry.channels().find(c => c.param.key === form.dataset.telemetryLimits)
+      );
+    });
+    telemetryGridEl.addEventListener('keydown', e => {
+      const summary = e.target.closest('.telemetry-card__summary');
+      if (!summary || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      toggleTelemetryCard(summary.parentElement);
+    });
+    telemetryGridEl.addEventListener('submit', e => {
+      const form = e.target.closest('[data-telemetry-limits]');
+      if (!form) return;
+      e.preventDefault();
+      const limits = {};
+      OrbitWatch.telemetry.LIMIT_KEYS.forEach(k => { limits[k] = form.elements[k].value; });
+      OrbitWatch.telemetry.setLimits(form.dataset.telemetryLimits, limits);
+      form.closest('.telemetry-card').querySelector('.telemetry-card__limits').innerHTML = renderLimitsForm(
+        OrbitWatch.telemetry.channels().find(c => c.param.key === form.dataset.telemetryLimits)
+      );
+    });
+  }
+
+  // One event per sample (every few seconds) plus feed status changes
+  document.addEventListener('orbitwatch:telemetry', () => {
+    updateTelemetryBadge(OrbitWatch.telemetry.alarms());
+    if (drawerTelemetry && drawerTelemetry.classList.contains('open')) renderTelemetry();
+  });
+
   // =============================================
   // LIVE CAMERA — Source Switching
   // =============================================
@@ -412,8 +768,15 @@
   let soundActive = false;
   const btnSound = document.getElementById('btn-sound');
 
+  // One context for ambient sound and alert chimes
+  function getAudioContext() {
+    if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    return audioCtx;
+  }
+
   function createAmbientSound() {
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    getAudioContext();
 
     // Master gain
     const masterGain = audioCtx.createGain();
@@ -496,14 +859,14 @@
     if (soundActive) {
       // Fade out and stop
       if (audioNodes.masterGain) {
-        audioNodes.masterGain.gain.setTargetAtTime(0, audioCtx.currentTime, 0.5);
+        const nodes = audioNodes;
+        nodes.masterGain.gain.setTargetAtTime(0, audioCtx.currentTime, 0.5);
+        // Stop the layers but keep the context — chimes still need it
         setTimeout(() => {
-          if (audioCtx) {
-            audioCtx.close();
-            audioCtx = null;
-            audioNodes = [];
-          }
+          ['drone', 'drone2', 'noise', 'sub', 'lfo'].forEach(key => nodes[key].stop());
+          nodes.masterGain.disconnect();
         }, 2000);
+        audioNodes = [];
       }
       soundActive = false;
       if (btnSound) btnSound.classList.remove('active');
@@ -519,4 +882,53 @@
     btnSound.addEventListener('click', toggleSound);
   }
 
+  // Two-tone alert chime, independent of the ambient layers
+  function chime() {
+    const ctx = getAudioContext();
+    const t0 = ctx.currentTime;
+    [880, 1320].forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      osc.type = 'sine';
+      osc.frequency.value = freq;
+      const gain = ctx.createGain();
+      const start = t0 + i * 0.25;
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(0.3, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.9);
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + 1);
+    });
+  }
+
+  // Console-style annunciator: a steady tone for caution, an alternating klaxon for warning
+  function alarm(level) {
+    const ctx = getAudioContext();
+    const t0 = ctx.currentTime;
+    const notes = level === 'warning' ? [988, 740, 988, 740] : [660];
+    notes.forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      osc.type = level === 'warning' ? 'square' : 'triangle';
+      osc.frequency.value = freq;
+      const gain = ctx.createGain();
+      const start = t0 + i * 0.18;
+      const length = level === 'warning' ? 0.16 : 0.5;
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(0.12, start + 0.01);
+      gain.gain.setValueAtTime(0.12, start + length - 0.03);
+      gain.gain.linearRampToValueAtTime(0, start + length);
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + length);
+    });
+  }
+
+  OrbitWatch.sound = {
+    chime,
+    alarm,
+    unlock: getAudioContext, // call from a user gesture so later chimes aren't blocked
+  };
+
 })();
@@ -0,0 +1,201 @@
+/* ============================================
+   ORBITWATCH — Pass Search
+   Coarse Scan · Bisection Refinement · Visibility
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  // Loaded by the page and by pass-worker.js — `self` is the global in both
+  const OrbitWatch = self.OrbitWatch = self.OrbitWatch || {};
+  const { ephemeris } = OrbitWatch;
+
+  const COARSE_STEP_MS = 60000;     // scan step; LEO elevation is smooth at this scale
+  const PRECISION_MS = 1000;        // AOS / LOS / culmination resolved to the second
+  const DETAIL_STEP_MS = 10000;     // sampling for the sky chart and brightness
+  const MAX_PASS_MS = 2 * 3600000;  // longer "passes" are objects that never set
+  const DARK_SKY_SUN_ALT = -6;      // sky must be past civil twilight
+  const NAKED_EYE_MAG = 4.0;        // faintest magnitude counted as visible
+
+  function createObserver(lat, lng, altKm) {
+    const gd = {
+      longitude: satellite.degreesToRadians(lng),
+      latitude: satellite.degreesToRadians(lat),
+      height: altKm,
+    };
+    return { lat, lng, gd, ecf: satellite.geodeticToEcf(gd) };
+  }
+
+  // Look angles from the observer at time t (ms); null if SGP4 fails
+  function lookAt(satrec, observer, t) {
+    const date = new Date(t);
+    const posVel = satellite.propagate(satrec, date);
+    if (!posVel || !posVel.position) return null;
+
+    const gmst = satellite.gstime(date);
+    const look = satellite.ecfToLookAngles(observer.gd, satellite.eciToEcf(posVel.position, gmst));
+    return {
+      date,
+      gmst,
+      eci: posVel.position,
+      el: satellite.radiansToDegrees(look.elevation),
+      az: satellite.radiansToDegrees(look.azimuth),
+      rangeKm: look.rangeSat,
+    };
+  }
+
+  function elevationAt(satrec, observer, t) {
+    const look = lookAt(satrec, observer, t);
+    return look ? look.el : -90;
+  }
+
+  // Narrow [lo, hi] to the instant `test` flips from false to true
+  function bisect(lo, hi, test) {
+    while (hi - lo > PRECISION_MS) {
+      const mid = (lo + hi) / 2;
+      if (test(mid)) hi = mid;
+      else lo = mid;
+    }
+    return Math.round(hi / PRECISION_MS) * PRECISION_MS;
+  }
+
+  // Peak elevation inside [lo, hi] — bisect on the sign of the elevation rate
+  function findCulmination(satrec, observer, lo, hi) {
+    return bisect(lo, hi, t =>
+      elevationAt(satrec, observer, t + PRECISION_MS / 2) < elevationAt(satrec, observer, t - PRECISION_MS / 2)
+    );
+  }
+
+  // Walk away from the culmination until below threshold, then bisect the crossing
+  function findCrossing(satrec, observer, from, direction, minElevation) {
+    let inside = from;
+    let outside = from + direction * COARSE_STEP_MS;
+    while (elevationAt(satrec, observer, outside) >= minElevation) {
+      if (Math.abs(outside - from) > MAX_PASS_MS) return null;
+      inside = outside;
+      outside += direction * COARSE_STEP_MS;
+    }
+    return direction < 0
+      ? bisect(outside, inside, t => elevationAt(satrec, observer, t) >= minElevation)
+      : bisect(inside, outside, t => elevationAt(satrec, observer, t) < minElevation) - PRECISION_MS;
+  }
+
+  // =============================================
+  // PASS DETAIL — path, illumination, brightness
+  // =============================================
+  function sample(satrec, stdMag, observer, t) {
+    const look = lookAt(satrec, observer, t);
+    if (!look) return null;
+
+    const sun = ephemeris.sunEci(look.date);
+    const sunlit = ephemeris.isSunlit(look.eci, sun);
+    const sunAlt = ephemeris.sunAltitude(look.date, observer.lat, observer.lng);
+    let mag = null;
+    if (sunlit && stdMag !== null) {
+      const observerEci = satellite.ecfToEci(observer.ecf, look.gmst);
+      const phase = ephemeris.phaseAngle(look.eci, observerEci, sun);
+      mag = ephemeris.visualMagnitude(stdMag, look.rangeKm, phase);
+    }
+    const visible = sunlit && sunAlt <= DARK_SKY_SUN_ALT && (mag === null || mag <= NAKED_EYE_MAG);
+    return { ...look, sunlit, sunAlt, mag, visible };
+  }
+
+  function describePass(satrec, stdMag, observer, aos, culmination, los) {
+    const peak = sample(satrec, stdMag, observer, culmination);
+    const pass = {
+      start: new Date(aos),
+      startAz: 0,
+      maxEl: peak.el,
+      maxAz: peak.az,
+      maxElTime: peak.date,
+      end: new Date(los),
+      endAz: 0,
+      sunAlt: peak.sunAlt,
+      sunlit: false,
+      visible: false,
+      visibleStart: null,
+      visibleEnd: null,
+      magnitude: null,
+      shadowEntry: null, // { time, az, el } where the satellite fades into Earth's shadow
+      shadowExit: null,
+      path: [], // { time, az, el, sunlit } — drawn as the sky chart
+    };
+
+    const times = [];
+    for (let t = aos; t < los; t += DETAIL_STEP_MS) times.push(t);
+    times.push(los);
+
+    let prev = null;
+    times.forEach(t => {
+      const s = sample(satrec, stdMag, observer, t);
+      if (!s) return;
+
+      // Refine sunlit/shadow transitions to the second
+      if (prev && s.sunlit !== prev.sunlit) {
+        const key = s.sunlit ? 'shadowExit' : 'shadowEntry';
+        if (!pass[key]) {
+          const flip = bisect(prev.date.getTime(), t, x => {
+            const look = lookAt(satrec, observer, x);
+            return look && ephemeris.isSunlit(look.eci, ephemeris.sunEci(look.date)) === s.sunlit;
+          });
+          const at = lookAt(satrec, observer, flip);
+          pass[key] = { time: new Date(flip), az: at.az, el: at.el };
+        }
+      }
+
+      pass.path.push({ time: s.date, az: s.az, el: s.el, sunlit: s.sunlit });
+      if (s.sunlit) pass.sunlit = true;
+      if (s.mag !== null && (pass.magnitude === null || s.mag < pass.magnitude)) pass.magnitude = s.mag;
+      if (s.visible) {
+        pass.visible = true;
+        if (!pass.visibleStart) pass.visibleStart = s.date;
+        pass.visibleEnd = s.date;
+      }
+      prev = s;
+    });
+
+    if (pass.path.length) {
+      pass.startAz = pass.path[0].az;
+      pass.endAz = pass.path[pass.path.length - 1].az;
+    }
+    return pass;
+  }
+
+  // =============================================
+  // SEARCH — coarse scan for elevation peaks, refine each by bisection
+  // =============================================
+  function findPasses({ satrec, stdMag = null, observer, start, end, minElevation }) {
+    const obs = createObserver(observer.lat, observer.lng, observer.altKm || 0);
+    const passes = [];
+
+    // Start one max pass early so a pass already in progress is found
+    let t = start - MAX_PASS_MS;
+    let e0 = elevationAt(satrec, obs, t - COARSE_STEP_MS);
+    let e1 = elevationAt(satrec, obs, t);
+
+    for (; t < end; t += COARSE_STEP_MS) {
+      const e2 = elevationAt(satrec, obs, t + COARSE_STEP_MS);
+      if (e1 > e0 && e1 >= e2 && e2 > -90) {
+        const culmination = findCulmination(satrec, obs, t - COARSE_STEP_MS, t + COARSE_STEP_MS);
+        if (elevationAt(satrec, obs, culmination) >= minElevation) {
+          const aos = findCrossing(satrec, obs, culmination, -1, minElevation);
+          const los = findCrossing(satrec, obs, culmination, 1, minElevation);
+          if (aos !== null && los !== null && los > start && aos < end) {
+            passes.push(describePass(satrec, stdMag, obs, aos, culmination, los));
+          }
+        }
+      }
+      e0 = e1;
+      e1 = e2;
+    }
+
+    return passes;
+  }
+
+  OrbitWatch.passSearch = {
+    DARK_SKY_SUN_ALT,
+    NAKED_EYE_MAG,
+    findPasses,
+  };
+
+})();
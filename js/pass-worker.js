@@ -0,0 +1,22 @@
+/* ============================================
+   ORBITWATCH — Pass Worker
+   Off-main-thread pass search
+   ============================================ */
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/satellite.js@5.0.0/dist/satellite.min.js',
+  'ephemeris.js',
+  'pass-search.js'
+);
+
+// { id, line1, line2, stdMag, observer, start, end, minElevation } -> { id, passes }
+self.onmessage = e => {
+  const { id, line1, line2, ...params } = e.data;
+  try {
+    const satrec = satellite.twoline2satrec(line1, line2);
+    const passes = self.OrbitWatch.passSearch.findPasses({ satrec, ...params });
+    self.postMessage({ id, passes });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
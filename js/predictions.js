@@ -1,132 +1,211 @@
 /* ============================================
    ORBITWATCH — Predictions Module
-   ISS Pass Prediction · Meteor Shower Alerts
+   ISS Pass Prediction · Meteor Shower Outlook
    ============================================ */
 
 (() => {
   'use strict';
 
   // =============================================
-  // ISS PASS PREDICTION (satellite.js + TLE)
+  // PASS PREDICTION (satellite.js + catalog TLE)
   // =============================================
-  const TLE_URL = 'https://celestrak.org/NORAD/elements/gp.php?CATNR=25544&FORMAT=TLE';
-  const MIN_ELEVATION_DEG = 10; // minimum pass elevation to consider "visible"
-
-  let tleData = null; // { satrec, name }
-  let userLocation = null; // { lat, lng, alt }
-  let passesComputed = false;
+  const OrbitWatch = window.OrbitWatch;
+  const { catalog, clock, locations, passSearch, exporter, moon, meteors, escapeHTML } = OrbitWatch;
+  const { DARK_SKY_SUN_ALT } = passSearch;
+  const SETTINGS_KEY = 'orbitwatch.passSettings';
+  const WINDOW_OPTIONS = [1, 2, 3, 5, 7, 10, 14]; // days
+
+  const settings = { days: 2, minElevation: 10 };
+  let lastPasses = null;
+  let lastSearch = null; // { sat, observer } the passes were computed for
+  let showAllPasses = false;
+
+  try {
+    Object.assign(settings, JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+  } catch (err) {
+    console.warn('Pass settings restore failed:', err);
+  }
 
-  // Fetch ISS TLE from CelesTrak
-  async function fetchTLE() {
-    try {
-      const res = await fetch(TLE_URL);
-      if (!res.ok) throw new Error(`TLE fetch HTTP ${res.status}`);
-      const text = await res.text();
-      const lines = text.trim().split('\n').map(l => l.trim());
-
-      if (lines.length >= 3) {
-        const satrec = satellite.twoline2satrec(lines[1], lines[2]);
-        tleData = { satrec, name: lines[0] };
-        return true;
-      }
-      // Try 2-line format
-      if (lines.length >= 2) {
-        const satrec = satellite.twoline2satrec(lines[0], lines[1]);
-        tleData = { satrec, name: 'ISS (ZARYA)' };
-        return true;
-      }
-    } catch (err) {
-      console.warn('TLE fetch failed:', err);
-    }
-    return false;
+  // --- Search runs in a worker; falls back to the main thread where workers can't load (file://) ---
+  let passWorker = null;
+  let searchSeq = 0;
+  const pendingSearches = new Map();
+
+  try {
+    passWorker = new Worker('js/pass-worker.js');
+    passWorker.onmessage = e => {
+      const { id, passes, error } = e.data;
+      const pending = pendingSearches.get(id);
+      if (!pending) return;
+      pendingSearches.delete(id);
+      if (error) pending.reject(new Error(error));
+      else pending.resolve(passes);
+    };
+    passWorker.onerror = err => {
+      console.warn('Pass worker failed, searching on the main thread:', err.message);
+      passWorker = null;
+      pendingSearches.forEach(p => p.fallback());
+      pendingSearches.clear();
+    };
+  } catch (err) {
+    console.warn('Pass worker unavailable:', err);
   }
 
-  // Request geolocation
-  function requestLocation() {
+  // Passes of `sat` from `start` (ms) over `days`, above `minElevation`
+  function searchPasses(sat, observer, { start, days = settings.days, minElevation = settings.minElevation }) {
+    if (!sat || !sat.satrec) return Promise.resolve([]);
+
+    const params = {
+      stdMag: sat.stdMag,
+      observer: { lat: observer.lat, lng: observer.lng, altKm: (observer.elevation || 0) / 1000 },
+      start,
+      end: start + days * 86400000,
+      minElevation,
+    };
+    const searchOnMainThread = () => passSearch.findPasses({ satrec: sat.satrec, ...params });
+
+    if (!passWorker) return Promise.resolve(searchOnMainThread());
     return new Promise((resolve, reject) => {
-      if (!navigator.geolocation) {
-        reject(new Error('Geolocation not supported'));
-        return;
+      const id = ++searchSeq;
+      pendingSearches.set(id, { resolve, reject, fallback: () => resolve(searchOnMainThread()) });
+      passWorker.postMessage({ id, line1: sat.line1, line2: sat.line2, ...params });
+    });
+  }
+
+  // Selected satellite from the simulated time — lets the time machine preview passes
+  function computePasses(observer) {
+    return searchPasses(catalog.selected(), observer, { start: clock.now() });
+  }
+
+  OrbitWatch.passes = {
+    search: searchPasses,
+    settings,
+    compassPoint,
+    formatMagnitude,
+  };
+
+  // Why a pass can't be seen with the naked eye
+  function invisibleReason(pass) {
+    if (pass.sunAlt > DARK_SKY_SUN_ALT) return 'DAYLIGHT';
+    if (!pass.sunlit) return 'IN SHADOW';
+    return 'TOO FAINT';
+  }
+
+  function formatMagnitude(mag) {
+    if (mag === null) return '—';
+    return `${mag < 0 ? '−' : ''}${Math.abs(mag).toFixed(1)}`;
+  }
+
+  // =============================================
+  // SKY CHART — azimuth/elevation polar plot (north up, zenith at centre)
+  // =============================================
+  const CHART_SIZE = 220;
+  const CHART_RADIUS = 90;
+
+  function formatClock(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  function compassPoint(az) {
+    const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return points[Math.round(az / 22.5) % 16];
+  }
+
+  function skyPoint(az, el) {
+    const r = (90 - Math.max(0, el)) / 90 * CHART_RADIUS;
+    const a = az * Math.PI / 180;
+    const c = CHART_SIZE / 2;
+    return { x: +(c + r * Math.sin(a)).toFixed(1), y: +(c - r * Math.cos(a)).toFixed(1) };
+  }
+
+  // Split the arc into sunlit / shadowed runs so the fade-out is visible
+  function arcSegments(path) {
+    const segments = [];
+    path.forEach((p, i) => {
+      const last = segments[segments.length - 1];
+      if (!last || last.sunlit !== p.sunlit) {
+        const seg = { sunlit: p.sunlit, points: i > 0 ? [path[i - 1]] : [] };
+        segments.push(seg);
+        seg.points.push(p);
+      } else {
+        last.points.push(p);
       }
-      navigator.geolocation.getCurrentPosition(
-        pos => {
-          userLocation = {
-            lat: pos.coords.latitude,
-            lng: pos.coords.longitude,
-            alt: (pos.coords.altitude || 0) / 1000, // km
-          };
-          resolve(userLocation);
-        },
-        err => reject(err),
-        { enableHighAccuracy: false, timeout: 10000 }
-      );
     });
+    return segments;
   }
 
-  // Compute ISS passes for the next 48 hours
-  function computePasses(observerLat, observerLng, observerAlt) {
-    if (!tleData) return [];
+  function renderSkyChart(pass) {
+    const c = CHART_SIZE / 2;
+    const parts = [];
 
-    const passes = [];
-    const now = new Date();
-    const end = new Date(now.getTime() + 48 * 60 * 60 * 1000);
-    const stepMs = 10000; // 10-second steps
-    const observerGd = {
-      longitude: satellite.degreesToRadians(observerLng),
-      latitude: satellite.degreesToRadians(observerLat),
-      height: observerAlt,
-    };
+    // Horizon, 30° / 60° elevation rings and compass axes
+    parts.push(`<circle class="sky-chart__horizon" cx="${c}" cy="${c}" r="${CHART_RADIUS}" />`);
+    [30, 60].forEach(el => {
+      parts.push(`<circle class="sky-chart__ring" cx="${c}" cy="${c}" r="${(90 - el) / 90 * CHART_RADIUS}" />`);
+    });
+    parts.push(`<line class="sky-chart__ring" x1="${c}" y1="${c - CHART_RADIUS}" x2="${c}" y2="${c + CHART_RADIUS}" />`);
+    parts.push(`<line class="sky-chart__ring" x1="${c - CHART_RADIUS}" y1="${c}" x2="${c + CHART_RADIUS}" y2="${c}" />`);
+    [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, az]) => {
+      const a = az * Math.PI / 180;
+      const x = c + (CHART_RADIUS + 11) * Math.sin(a);
+      const y = c - (CHART_RADIUS + 11) * Math.cos(a);
+      parts.push(`<text class="sky-chart__compass" x="${x.toFixed(1)}" y="${y.toFixed(1)}">${label}</text>`);
+    });
+
+    // Pass arc
+    arcSegments(pass.path).forEach(seg => {
+      const pts = seg.points.map(p => {
+        const { x, y } = skyPoint(p.az, p.el);
+        return `${x},${y}`;
+      }).join(' ');
+      parts.push(`<polyline class="sky-chart__arc ${seg.sunlit ? '' : 'sky-chart__arc--shadow'}" points="${pts}" />`);
+    });
 
-    let inPass = false;
-    let currentPass = null;
-    let maxEl = 0;
-
-    for (let t = now.getTime(); t < end.getTime(); t += stepMs) {
-      const date = new Date(t);
-      const posVel = satellite.propagate(tleData.satrec, date);
-      if (!posVel.position) continue;
-
-      const gmst = satellite.gstime(date);
-      const posEcf = satellite.eciToEcf(posVel.position, gmst);
-      const lookAngles = satellite.ecfToLookAngles(observerGd, posEcf);
-      const elDeg = satellite.radiansToDegrees(lookAngles.elevation);
-      const azDeg = satellite.radiansToDegrees(lookAngles.azimuth);
-
-      if (elDeg >= MIN_ELEVATION_DEG) {
-        if (!inPass) {
-          inPass = true;
-          maxEl = elDeg;
-          currentPass = {
-            start: date,
-            startAz: azDeg,
-            maxEl: elDeg,
-            maxElTime: date,
-            end: date,
-            endAz: azDeg,
-          };
-        }
-        if (elDeg > maxEl) {
-          maxEl = elDeg;
-          currentPass.maxEl = elDeg;
-          currentPass.maxElTime = date;
-        }
-        currentPass.end = date;
-        currentPass.endAz = azDeg;
-      } else if (inPass) {
-        inPass = false;
-        passes.push({ ...currentPass });
-        currentPass = null;
-        maxEl = 0;
-        if (passes.length >= 5) break;
+    // Minute ticks along the arc
+    let lastMinute = null;
+    pass.path.forEach((p, i) => {
+      const minute = Math.floor(p.time / 60000);
+      if (i > 0 && minute !== lastMinute && i < pass.path.length - 1) {
+        const { x, y } = skyPoint(p.az, p.el);
+        parts.push(`<circle class="sky-chart__tick" cx="${x}" cy="${y}" r="2" />`);
+        parts.push(`<text class="sky-chart__tick-label" x="${x + 5}" y="${y - 4}">${formatClock(p.time)}</text>`);
       }
+      lastMinute = minute;
+    });
+
+    // Rise, set and shadow-entry markers
+    const first = pass.path[0];
+    const last = pass.path[pass.path.length - 1];
+    if (first) {
+      const { x, y } = skyPoint(first.az, first.el);
+      parts.push(`<circle class="sky-chart__start" cx="${x}" cy="${y}" r="3.5" />`);
+    }
+    if (last) {
+      const { x, y } = skyPoint(last.az, last.el);
+      parts.push(`<rect class="sky-chart__end" x="${x - 3}" y="${y - 3}" width="6" height="6" />`);
+    }
+    if (pass.shadowEntry) {
+      const { x, y } = skyPoint(pass.shadowEntry.az, pass.shadowEntry.el);
+      parts.push(`<circle class="sky-chart__shadow" cx="${x}" cy="${y}" r="5" />`);
+      parts.push(`<text class="sky-chart__shadow-label" x="${x + 7}" y="${y + 10}">FADES</text>`);
     }
 
-    return passes;
+    return `
+      <svg class="sky-chart" viewBox="0 0 ${CHART_SIZE} ${CHART_SIZE}" role="img"
+        aria-label="Sky chart: rises ${compassPoint(pass.startAz)}, sets ${compassPoint(pass.endAz)}, max ${Math.round(pass.maxEl)}°">
+        ${parts.join('')}
+      </svg>
+      <div class="sky-chart__legend">
+        <span>● RISE ${compassPoint(pass.startAz)}</span>
+        <span>■ SET ${compassPoint(pass.endAz)}</span>
+        ${pass.shadowEntry ? `<span>◯ FADES ${formatClock(pass.shadowEntry.time)}</span>` : ''}
+      </div>
+    `;
   }
 
   // Format pass for display
   function formatPass(pass, index) {
-    const now = new Date();
+    const now = clock.date();
     const diffMs = pass.start - now;
     const isNext = diffMs > 0;
 
@@ -143,14 +222,23 @@
 
     const duration = Math.round((pass.end - pass.start) / 1000);
     const maxElFormatted = Math.round(pass.maxEl);
-    const brightness = maxElFormatted > 40 ? 'EXCELLENT' : maxElFormatted > 20 ? 'GOOD' : 'FAIR';
-
-    const startTime = pass.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    const endTime = pass.end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const startTime = formatClock(pass.start);
+    const endTime = formatClock(pass.end);
     const dateStr = pass.start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
 
+    let visibility;
+    if (!pass.visible) {
+      visibility = `<span class="pass-card__visibility pass-card__visibility--hidden">NOT VISIBLE · ${invisibleReason(pass)}</span>`;
+    } else {
+      const notes = [];
+      if (pass.shadowExit) notes.push(`APPEARS ${formatClock(pass.shadowExit.time)}`);
+      if (pass.shadowEntry) notes.push(`FADES ${formatClock(pass.shadowEntry.time)}`);
+      visibility = `<span class="pass-card__visibility">VISIBLE${notes.length ? ` · ${notes.join(' · ')}` : ''}</span>`;
+    }
+
     return `
-      <div class="pass-card ${index === 0 && isNext ? 'pass-card--next' : ''}">
+      <div class="pass-card ${index === 0 && isNext ? 'pass-card--next' : ''} ${pass.visible ? '' : 'pass-card--dim'}"
+        role="button" tabindex="0" aria-expanded="false">
         <div class="pass-card__header">
           <span class="pass-card__date">${dateStr}</span>
           <span class="pass-card__countdown">${timeLabel}</span>
@@ -164,112 +252,371 @@
           <div class="pass-card__meta">
             <span>⏱ ${duration}s</span>
             <span>📐 ${maxElFormatted}°</span>
-            <span>👁 ${brightness}</span>
+            <span>✦ MAG ${formatMagnitude(pass.magnitude)}</span>
           </div>
+          ${visibility}
         </div>
+        <div class="pass-card__sky">${renderSkyChart(pass)}</div>
       </div>
     `;
   }
 
   // Render passes into drawer
+  let renderSeq = 0;
+
   async function initPassPrediction() {
     const container = document.getElementById('passes-list');
     const statusEl = document.getElementById('passes-status');
     if (!container) return;
 
     // Step 1: show loading
-    statusEl.textContent = 'Fetching ISS orbital data...';
+    const sat = catalog.selected();
+    statusEl.textContent = `Fetching ${sat.label} orbital data...`;
     container.innerHTML = '';
 
-    // Step 2: fetch TLE
-    if (!tleData) {
-      const ok = await fetchTLE();
-      if (!ok) {
-        statusEl.textContent = 'Failed to fetch orbital data. Try again later.';
-        return;
-      }
+    // Step 2: wait for the catalog TLE
+    await catalog.ready;
+    if (!sat.satrec) {
+      statusEl.textContent = 'Failed to fetch orbital data. Try again later.';
+      return;
     }
 
-    // Step 3: get location
-    if (!userLocation) {
+    // Step 3: get location — saved or typed sites first, geolocation as a fallback
+    let observer = locations.current();
+    if (!observer) {
       statusEl.textContent = 'Requesting your location...';
       try {
-        await requestLocation();
+        observer = await locations.locate();
       } catch (err) {
-        statusEl.textContent = 'Location access denied. Cannot compute passes.';
-        container.innerHTML = `<p class="pass-error">Enable location access and try again.</p>`;
+        statusEl.textContent = 'Location access denied.';
+        container.innerHTML = `<p class="pass-error">Type coordinates, search for a place or pick a point on the globe under CHANGE.</p>`;
         return;
       }
     }
 
-    statusEl.textContent = `Passes for ${userLocation.lat.toFixed(2)}°, ${userLocation.lng.toFixed(2)}°`;
+    // Step 4: compute passes — only the latest request renders
+    const requestId = ++renderSeq;
+    statusEl.textContent = `Searching ${settings.days} day${settings.days === 1 ? '' : 's'} of ${sat.label} passes...`;
+    try {
+      const passes = await computePasses(observer);
+      if (requestId !== renderSeq) return;
+      lastPasses = passes;
+      lastSearch = { sat, observer };
+    } catch (err) {
+      if (requestId !== renderSeq) return;
+      console.warn('Pass search failed:', err);
+      statusEl.textContent = 'Pass search failed. Try again later.';
+      return;
+    }
+
+    // Judge the elements at the far end of the window, where SGP4 error is largest
+    const health = catalog.health(sat, clock.now() + settings.days * 86400000);
+    const accuracy = health.level === 'ok' ? ''
+      : ` · ⚠ ${health.level === 'stale' ? 'unreliable' : 'degraded accuracy'} (TLE epoch ${Math.round(health.ageDays)} d away)`;
+    statusEl.textContent = `${sat.label} passes for ${observer.name}${accuracy}`;
+    renderPasses();
+  }
+
+  // Naked-eye passes only unless the user asks for every pass
+  function shownPasses() {
+    return showAllPasses ? lastPasses : lastPasses.filter(p => p.visible);
+  }
+
+  function renderPasses() {
+    const container = document.getElementById('passes-list');
+    if (!container || !lastPasses) return;
 
-    // Step 4: compute passes
-    const passes = computePasses(userLocation.lat, userLocation.lng, userLocation.alt || 0);
+    const passes = shownPasses();
+    updateExportButtons(passes.length);
+    const span = `the next ${settings.days === 1 ? '24 hours' : `${settings.days} days`}`;
     if (passes.length === 0) {
-      container.innerHTML = `<p class="pass-error">No visible passes in the next 48 hours.</p>`;
+      container.innerHTML = lastPasses.length === 0
+        ? `<p class="pass-error">No passes above ${settings.minElevation}° in ${span}.</p>`
+        : `<p class="pass-error">No naked-eye passes in ${span} — ${lastPasses.length} pass${lastPasses.length === 1 ? '' : 'es'} in daylight or shadow. Switch to ALL to see them.</p>`;
       return;
     }
 
     container.innerHTML = passes.map((p, i) => formatPass(p, i)).join('');
   }
 
+  // Expand a pass card to reveal its sky chart
+  const passesListEl = document.getElementById('passes-list');
+  if (passesListEl) {
+    const toggleCard = card => {
+      const expanded = card.classList.toggle('pass-card--expanded');
+      card.setAttribute('aria-expanded', String(expanded));
+    };
+    passesListEl.addEventListener('click', e => {
+      const card = e.target.closest('.pass-card');
+      if (card) toggleCard(card);
+    });
+    passesListEl.addEventListener('keydown', e => {
+      const card = e.target.closest('.pass-card');
+      if (!card || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      toggleCard(card);
+    });
+  }
+
+  // Search window and elevation threshold
+  const passSettingsEl = document.getElementById('pass-settings');
+  if (passSettingsEl) {
+    const daysSelect = passSettingsEl.elements.days;
+    const minElInput = passSettingsEl.elements.minElevation;
+    daysSelect.innerHTML = WINDOW_OPTIONS.map(d =>
+      `<option value="${d}">${d} DAY${d === 1 ? '' : 'S'}</option>`
+    ).join('');
+    daysSelect.value = settings.days;
+    minElInput.value = settings.minElevation;
+
+    passSettingsEl.addEventListener('change', () => {
+      const minElevation = parseFloat(minElInput.value);
+      settings.days = Number(daysSelect.value);
+      settings.minElevation = Number.isFinite(minElevation) ? Math.max(0, Math.min(85, minElevation)) : 10;
+      minElInput.value = settings.minElevation;
+      try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+      } catch (err) {
+        console.warn('Pass settings save failed:', err);
+      }
+      initPassPrediction();
+    });
+    passSettingsEl.addEventListener('submit', e => e.preventDefault());
+  }
+
+  const passFilterEl = document.getElementById('pass-filter');
+  if (passFilterEl) {
+    passFilterEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-filter]');
+      if (!btn) return;
+      showAllPasses = btn.dataset.filter === 'all';
+      passFilterEl.querySelectorAll('[data-filter]').forEach(b => b.classList.toggle('active', b === btn));
+      renderPasses();
+    });
+  }
 
   // =============================================
-  // METEOR SHOWER CALENDAR
+  // PASS EXPORT — iCalendar and CSV of the passes on screen
   // =============================================
-  // Major annual meteor showers with typical peak dates
-  const METEOR_SHOWERS = [
-    { name: 'Quadrantids', peak: '01-03', start: '12-28', end: '01-12', rate: 120, parent: '2003 EH1' },
-    { name: 'Lyrids', peak: '04-22', start: '04-16', end: '04-25', rate: 18, parent: 'C/1861 G1 (Thatcher)' },
-    { name: 'Eta Aquariids', peak: '05-06', start: '04-19', end: '05-28', rate: 50, parent: '1P/Halley' },
-    { name: 'Delta Aquariids', peak: '07-30', start: '07-12', end: '08-23', rate: 25, parent: '96P/Machholz' },
-    { name: 'Perseids', peak: '08-12', start: '07-17', end: '08-24', rate: 100, parent: '109P/Swift-Tuttle' },
-    { name: 'Draconids', peak: '10-08', start: '10-06', end: '10-10', rate: 10, parent: '21P/Giacobini-Zinner' },
-    { name: 'Orionids', peak: '10-21', start: '10-02', end: '11-07', rate: 20, parent: '1P/Halley' },
-    { name: 'Leonids', peak: '11-17', start: '11-06', end: '11-30', rate: 15, parent: '55P/Tempel-Tuttle' },
-    { name: 'Geminids', peak: '12-14', start: '12-04', end: '12-17', rate: 150, parent: '3200 Phaethon' },
-    { name: 'Ursids', peak: '12-22', start: '12-17', end: '12-26', rate: 10, parent: '8P/Tuttle' },
-  ];
-
-  function parseMMDD(mmdd, year) {
-    const [m, d] = mmdd.split('-').map(Number);
-    return new Date(year, m - 1, d);
+  // Exported calendars get shared across time zones: name the zone the text is in
+  function formatStamp(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit', timeZoneName: 'short' });
   }
 
-  function getActiveAndUpcomingShowers() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const active = [];
-    const upcoming = [];
-
-    METEOR_SHOWERS.forEach(shower => {
-      let start = parseMMDD(shower.start, year);
-      let end = parseMMDD(shower.end, year);
-      let peak = parseMMDD(shower.peak, year);
-
-      // Handle Quadrantids wrapping around year boundary
-      if (end < start) {
-        if (now.getMonth() < 6) {
-          start = parseMMDD(shower.start, year - 1);
-        } else {
-          end = parseMMDD(shower.end, year + 1);
-          peak = parseMMDD(shower.peak, year + 1);
-        }
-      }
+  function describeLook(az, el) {
+    return `az ${Math.round(az)}° (${compassPoint(az)}) el ${Math.round(el)}°`;
+  }
+
+  function passEndpoints(pass) {
+    const first = pass.path[0] || { el: settings.minElevation };
+    const last = pass.path[pass.path.length - 1] || { el: settings.minElevation };
+    return { startEl: first.el, endEl: last.el };
+  }
 
-      const isPeak = Math.abs(now - peak) < 24 * 60 * 60 * 1000;
-      const isActive = now >= start && now <= end;
-      const daysUntilStart = Math.ceil((start - now) / (1000 * 60 * 60 * 24));
+  function passDescription(pass) {
+    const { startEl, endEl } = passEndpoints(pass);
+    const lines = [
+      `Start ${formatStamp(pass.start)} — ${describeLook(pass.startAz, startEl)}`,
+      `Culmination ${formatStamp(pass.maxElTime)} — ${describeLook(pass.maxAz, pass.maxEl)}`,
+      `End ${formatStamp(pass.end)} — ${describeLook(pass.endAz, endEl)}`,
+      `Magnitude ${formatMagnitude(pass.magnitude)} · ${pass.visible ? 'visible' : `not visible (${invisibleReason(pass).toLowerCase()})`}`,
+    ];
+    if (pass.shadowExit) lines.push(`Appears from Earth's shadow ${formatStamp(pass.shadowExit.time)}`);
+    if (pass.shadowEntry) lines.push(`Fades into Earth's shadow ${formatStamp(pass.shadowEntry.time)} — ${describeLook(pass.shadowEntry.az, pass.shadowEntry.el)}`);
+    return lines.join('\n');
+  }
 
-      if (isActive) {
-        active.push({ ...shower, isPeak, daysUntilPeak: Math.ceil((peak - now) / (1000 * 60 * 60 * 24)) });
-      } else if (daysUntilStart > 0 && daysUntilStart <= 60) {
-        upcoming.push({ ...shower, daysUntilStart });
-      }
+  function exportICS() {
+    const { sat, observer } = lastSearch;
+    const events = shownPasses().map(pass => ({
+      uid: `${sat.id}-${pass.start.getTime()}-${observer.lat.toFixed(3)}-${observer.lng.toFixed(3)}@orbitwatch`,
+      start: pass.start,
+      end: pass.end,
+      summary: `${sat.label} pass · max ${Math.round(pass.maxEl)}° · mag ${formatMagnitude(pass.magnitude)}`,
+      description: passDescription(pass),
+      location: observer.name,
+      geo: { lat: observer.lat, lng: observer.lng },
+    }));
+    exporter.download(
+      `${sat.label.toLowerCase().replace(/\W+/g, '-')}-passes-${exporter.stamp()}.ics`,
+      exporter.toICS(events, `${sat.label} passes — ${observer.name}`),
+      'text/calendar'
+    );
+  }
+
+  function exportCSV() {
+    const { sat, observer } = lastSearch;
+    const iso = date => (date ? date.toISOString() : '');
+    const round = (value, digits = 1) => (value === null ? '' : value.toFixed(digits));
+    const header = [
+      'satellite', 'norad_id', 'start_utc', 'start_az', 'start_el', 'max_utc', 'max_az', 'max_el',
+      'end_utc', 'end_az', 'end_el', 'duration_s', 'magnitude', 'visible', 'sunlit',
+      'shadow_entry_utc', 'shadow_exit_utc', 'observer', 'observer_lat', 'observer_lng', 'observer_elevation_m',
+    ];
+    const rows = shownPasses().map(pass => {
+      const { startEl, endEl } = passEndpoints(pass);
+      return [
+        sat.label, sat.id,
+        iso(pass.start), round(pass.startAz), round(startEl),
+        iso(pass.maxElTime), round(pass.maxAz), round(pass.maxEl),
+        iso(pass.end), round(pass.endAz), round(endEl),
+        Math.round((pass.end - pass.start) / 1000), round(pass.magnitude),
+        pass.visible, pass.sunlit,
+        iso(pass.shadowEntry && pass.shadowEntry.time), iso(pass.shadowExit && pass.shadowExit.time),
+        observer.name, observer.lat.toFixed(5), observer.lng.toFixed(5), round(observer.elevation, 0),
+      ];
+    });
+    exporter.download(
+      `${sat.label.toLowerCase().replace(/\W+/g, '-')}-passes-${exporter.stamp()}.csv`,
+      exporter.toCSV(header, rows),
+      'text/csv'
+    );
+  }
+
+  const passExportEl = document.getElementById('pass-export');
+
+  function updateExportButtons(count) {
+    if (!passExportEl) return;
+    passExportEl.querySelectorAll('[data-export]').forEach(btn => { btn.disabled = count === 0; });
+  }
+
+  if (passExportEl) {
+    passExportEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-export]');
+      if (!btn || !lastPasses || shownPasses().length === 0) return;
+      if (btn.dataset.export === 'ics') exportICS();
+      if (btn.dataset.export === 'csv') exportCSV();
+    });
+  }
+
+
+  // =============================================
+  // METEOR SHOWER CALENDAR (meteors.js)
+  // =============================================
+  const METEOR_LOOKAHEAD_DAYS = 60;
+  const METEOR_CHART = { width: 260, height: 64 };
+  const DAY_MS = 864e5;
+
+  // Returns running now or starting soon, at simulated time. The night to chart
+  // is the peak night when it's close or still ahead, otherwise tonight.
+  function getActiveAndUpcomingShowers() {
+    const now = clock.date();
+    const { active, upcoming } = meteors.outlook(now, METEOR_LOOKAHEAD_DAYS);
+    const describe = (occ, running) => ({
+      ...occ,
+      zhrNow: meteors.zhrAt(occ.shower, now),
+      isPeak: Math.abs(now - occ.peak) < DAY_MS,
+      daysUntilPeak: Math.ceil((occ.peak - now) / DAY_MS),
+      daysUntilStart: Math.ceil((occ.start - now) / DAY_MS),
+      night: running && Math.abs(now - occ.peak) >= DAY_MS ? now : occ.peak,
     });
 
-    return { active, upcoming };
+    return {
+      active: active.map(occ => describe(occ, true)),
+      upcoming: upcoming.map(occ => describe(occ, false)),
+    };
+  }
+
+  function formatRate(rate) {
+    return rate < 1 ? '<1' : `~${Math.round(rate)}`;
+  }
+
+  function formatPeak(date) {
+    return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }).toUpperCase();
+  }
+
+  // Expected hourly rate (bars, dimmed while the Moon is up) and radiant altitude (line, 0–90°)
+  function renderNightChart({ samples, best }) {
+    if (samples.length === 0) return '';
+    const { width, height } = METEOR_CHART;
+    const barWidth = width / samples.length;
+    const max = Math.max(1, best ? best.rate : 0);
+    const y = value => height - value * height;
+
+    const bars = samples.map((s, i) => {
+      const h = s.rate / max * height;
+      return `<rect class="meteor-chart__bar${s.moonUp ? ' meteor-chart__bar--moon' : ''}"
+        x="${(i * barWidth + 1).toFixed(1)}" y="${(height - h).toFixed(1)}" width="${(barWidth - 2).toFixed(1)}" height="${h.toFixed(1)}">
+        <title>${formatClock(s.time)} · ${formatRate(s.rate)}/hr · radiant ${Math.round(s.radiantAlt)}°${s.moonUp ? ' · Moon up' : ''}</title></rect>`;
+    }).join('');
+    const radiant = samples.map((s, i) =>
+      `${(i * barWidth + barWidth / 2).toFixed(1)},${y(Math.max(0, s.radiantAlt) / 90).toFixed(1)}`
+    ).join(' ');
+
+    return `
+      <svg class="meteor-chart" viewBox="0 0 ${width} ${height + 14}" role="img" aria-label="Hourly rate through the night">
+        <line class="meteor-chart__axis" x1="0" y1="${height}" x2="${width}" y2="${height}"/>
+        ${bars}
+        <polyline class="meteor-chart__radiant" points="${radiant}"/>
+        <text class="meteor-chart__label" x="0" y="${height + 11}">${formatClock(samples[0].time)}</text>
+        <text class="meteor-chart__label" x="${width}" y="${height + 11}" text-anchor="end">${formatClock(samples[samples.length - 1].time)}</text>
+      </svg>
+    `;
+  }
+
+  // Rate and moonlight for the charted night — or, with no observer, the Moon at 03:00 on the peak date
+  function showerOutlook(s) {
+    const observer = locations.current();
+    if (observer) {
+      const curve = meteors.nightCurve(s.shower, s.night, observer);
+      const best = curve.best;
+      const moonlight = moon.meteorOutlook(best ? best.time : s.night, observer);
+      const bright = moonlight.rateFactor < 0.5;
+      return {
+        stats: `
+          <span class="${bright ? 'meteor-card__moon--bright' : ''}">🌙 ${Math.round(moonlight.fraction * 100)}% moon${moonlight.up ? '' : ', set'}</span>
+          <span>👁 ${best ? `${formatRate(best.rate)}/hr best at ${formatClock(best.time)}` : 'Radiant not up in darkness'}</span>
+        `,
+        chart: renderNightChart(curve),
+      };
+    }
+
+    const { peak } = s;
+    const moonlight = moon.meteorOutlook(new Date(peak.getFullYear(), peak.getMonth(), peak.getDate(), 3));
+    const bright = moonlight.rateFactor < 0.5;
+    return {
+      stats: `
+        <span class="${bright ? 'meteor-card__moon--bright' : ''}">🌙 ${Math.round(moonlight.fraction * 100)}% moon at peak</span>
+        <span class="${bright ? 'meteor-card__moon--bright' : ''}">👁 ≤${Math.round(meteors.zhrAt(s.shower, peak) * moonlight.rateFactor)}/hr in moonlight</span>
+      `,
+      chart: '',
+    };
+  }
+
+  // Viewing map window: the next 24 h while the shower is running, otherwise the day around its peak
+  function mapStart(s) {
+    return s.night === s.peak ? s.peak.getTime() - DAY_MS / 2 : s.night.getTime();
+  }
+
+  function formatShower(s, running) {
+    const { shower } = s;
+    const { stats, chart } = showerOutlook(s);
+    const peakText = s.isPeak
+      ? '🔥 PEAK TONIGHT'
+      : s.daysUntilPeak > 0 ? `📅 Peak ${formatPeak(s.peak)}` : `📅 Peaked ${formatPeak(s.peak)}`;
+    const badge = s.isPeak
+      ? '<span class="meteor-card__badge">PEAK!</span>'
+      : running ? '' : `<span class="meteor-card__countdown">${s.daysUntilStart} DAYS</span>`;
+
+    return `
+      <div class="meteor-card ${s.isPeak ? 'meteor-card--peak' : ''} ${shower.zhr < 10 ? 'meteor-card--minor' : ''}">
+        <div class="meteor-card__header">
+          <span class="meteor-card__name">${shower.name} <span class="meteor-card__code">${shower.code}</span></span>
+          ${badge}
+        </div>
+        <div class="meteor-card__stats">
+          <span>☄️ ZHR ${shower.variable ? 'VAR ~' : ''}${shower.zhr}${running && !s.isPeak ? ` (now ${formatRate(s.zhrNow)})` : ''}</span>
+          <span>${peakText}</span>
+          <span>💨 ${shower.v} km/s</span>
+          ${shower.parent ? `<span>🌠 ${shower.parent}</span>` : ''}
+          ${stats}
+        </div>
+        ${chart}
+        <button class="meteor-card__map" data-meteor-map="${shower.code}" data-start="${mapStart(s)}">
+          <i class="ph ph-globe-hemisphere-west"></i> WHERE TO WATCH
+        </button>
+      </div>
+    `;
   }
 
   function initMeteorShower() {
@@ -282,45 +629,22 @@
 
     if (active.length > 0) {
       html += `<div class="meteor-section"><span class="meteor-section__label">ACTIVE NOW</span>`;
-      active.forEach(s => {
-        html += `
-          <div class="meteor-card ${s.isPeak ? 'meteor-card--peak' : ''}">
-            <div class="meteor-card__header">
-              <span class="meteor-card__name">${s.name}</span>
-              ${s.isPeak ? '<span class="meteor-card__badge">PEAK!</span>' : ''}
-            </div>
-            <div class="meteor-card__stats">
-              <span>☄️ ~${s.rate}/hr</span>
-              <span>🌠 ${s.parent}</span>
-              ${s.isPeak ? '<span>🔥 TONIGHT</span>' : `<span>📅 Peak in ${s.daysUntilPeak} days</span>`}
-            </div>
-          </div>
-        `;
-      });
+      html += active.map(s => formatShower(s, true)).join('');
       html += `</div>`;
     }
 
     if (upcoming.length > 0) {
       html += `<div class="meteor-section"><span class="meteor-section__label">COMING SOON</span>`;
-      upcoming.forEach(s => {
-        html += `
-          <div class="meteor-card">
-            <div class="meteor-card__header">
-              <span class="meteor-card__name">${s.name}</span>
-              <span class="meteor-card__countdown">${s.daysUntilStart} DAYS</span>
-            </div>
-            <div class="meteor-card__stats">
-              <span>☄️ ~${s.rate}/hr</span>
-              <span>🌠 ${s.parent}</span>
-            </div>
-          </div>
-        `;
-      });
+      html += upcoming.map(s => formatShower(s, false)).join('');
       html += `</div>`;
     }
 
     if (active.length === 0 && upcoming.length === 0) {
-      html = `<p class="pass-error">No meteor showers active or upcoming in the next 60 days.</p>`;
+      html = `<p class="pass-error">No meteor showers active or upcoming in the next ${METEOR_LOOKAHEAD_DAYS} days.</p>`;
+    } else {
+      html += `<p class="meteor-note">${locations.current()
+        ? `Hourly rates for ${escapeHTML(locations.current().name)}: ZHR × sin(radiant altitude), reduced for moonlight, counted while the Sun is 12° down. Line: radiant altitude.`
+        : 'Set an observer location in the passes drawer for radiant altitude and hourly rates through the night.'}</p>`;
     }
 
     container.innerHTML = html;
@@ -352,6 +676,7 @@
   // We hook into the existing drawer button system
   const btnPasses = document.getElementById('btn-passes');
   const btnMeteor = document.getElementById('btn-meteor');
+  const drawerPasses = document.getElementById('drawer-passes');
 
   if (btnPasses) {
     // Intercept the drawer open to trigger pass prediction init
@@ -361,12 +686,62 @@
     });
   }
 
+  // Recompute for the newly selected satellite if the drawer is showing
+  document.addEventListener('orbitwatch:satellite-change', () => {
+    if (drawerPasses && drawerPasses.classList.contains('open')) initPassPrediction();
+  });
+
+  // ...or when fresh elements arrive
+  document.addEventListener('orbitwatch:catalog-change', () => {
+    if (drawerPasses && drawerPasses.classList.contains('open')) initPassPrediction();
+  });
+
+  // ...or when the observer moves
+  document.addEventListener('orbitwatch:location-change', () => {
+    if (drawerPasses && drawerPasses.classList.contains('open')) initPassPrediction();
+  });
+
+  // ...or when the time machine jumps (debounced — the scrubber fires continuously)
+  let clockJumpTimer = null;
+  document.addEventListener('orbitwatch:clock-change', e => {
+    if (!e.detail.jumped || !drawerPasses || !drawerPasses.classList.contains('open')) return;
+    clearTimeout(clockJumpTimer);
+    clockJumpTimer = setTimeout(initPassPrediction, 300);
+  });
+
   if (btnMeteor) {
     btnMeteor.addEventListener('click', () => {
       setTimeout(initMeteorShower, 100);
     });
   }
 
+  // "Where to watch" hands the shower to the globe's viewing map (app.js)
+  const meteorContentEl = document.getElementById('meteor-content');
+  if (meteorContentEl) {
+    meteorContentEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-meteor-map]');
+      if (!btn) return;
+      document.dispatchEvent(new CustomEvent('orbitwatch:meteor-focus', {
+        detail: { code: btn.dataset.meteorMap, start: Number(btn.dataset.start) },
+      }));
+    });
+  }
+
+  // Meteor outlook follows the observer and the time machine too
+  const drawerMeteor = document.getElementById('drawer-meteor');
+  let meteorJumpTimer = null;
+  document.addEventListener('orbitwatch:location-change', () => {
+    if (drawerMeteor && drawerMeteor.classList.contains('open')) initMeteorShower();
+  });
+  document.addEventListener('orbitwatch:clock-change', e => {
+    if (!e.detail.jumped) return;
+    clearTimeout(meteorJumpTimer);
+    meteorJumpTimer = setTimeout(() => {
+      if (drawerMeteor && drawerMeteor.classList.contains('open')) initMeteorShower();
+      else updateMeteorBadge(getActiveAndUpcomingShowers().active);
+    }, 300);
+  });
+
   // Check for active meteor showers on page load to show badge
   setTimeout(() => {
     const { active } = getActiveAndUpcomingShowers();
@@ -0,0 +1,298 @@
+/* ============================================
+   ORBITWATCH — Position Recorder
+   IndexedDB Log · Time Range · Track Export
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { catalog, database, escapeHTML } = OrbitWatch;
+
+  const STORE = 'positions';            // key [id, time] — one row per sample
+  const FLUSH_INTERVAL = 5000;          // batch writes into one transaction
+  const RETENTION_DAYS = 30;
+  const ENABLED_KEY = 'orbitwatch.recorder';
+  const CLEAR_ARM_MS = 3000;            // second click within this deletes the log
+
+  // =============================================
+  // DATABASE — the positions store in OrbitWatch.database
+  // =============================================
+  const { request } = database;
+  let queue = [];
+  let enabled = localStorage.getItem(ENABLED_KEY) !== 'off';
+
+  function transaction(mode, work) {
+    return database.transaction(STORE, mode, work);
+  }
+
+  function keyRange(id, from = -Infinity, to = Infinity) {
+    return IDBKeyRange.bound([id, from], [id, to]);
+  }
+
+  // =============================================
+  // RECORDING
+  // =============================================
+
+  // Queue one sample; source is 'sgp4' (propagated) or 'api' (fetched live)
+  function record(id, pos, time, source) {
+    if (!enabled || !pos) return;
+    queue.push({
+      id,
+      time,
+      lat: pos.lat,
+      lng: pos.lng,
+      altKm: Number.isFinite(pos.altKm) ? pos.altKm : null,
+      velKmh: Number.isFinite(pos.velKmh) ? pos.velKmh : null,
+      source,
+    });
+  }
+
+  async function flush() {
+    if (!queue.length) return;
+    const batch = queue;
+    queue = [];
+    try {
+      await transaction('readwrite', store => batch.forEach(row => store.put(row)));
+      document.dispatchEvent(new CustomEvent('orbitwatch:recorder-change'));
+    } catch (err) {
+      console.warn('Position log write failed:', err);
+    }
+  }
+
+  function setEnabled(on) {
+    enabled = on;
+    localStorage.setItem(ENABLED_KEY, on ? 'on' : 'off');
+    if (!on) queue = [];
+  }
+
+  // =============================================
+  // QUERIES
+  // =============================================
+
+  // Samples of one object between two times (ms), oldest first
+  async function range(id, from, to) {
+    return transaction('readonly', store => request(store.getAll(keyRange(id, from, to))));
+  }
+
+  // First and last sample times and the count, or null when nothing is logged
+  async function bounds(id) {
+    const edge = (store, direction) => new Promise((resolve, reject) => {
+      const req = store.openCursor(keyRange(id), direction);
+      req.onsuccess = () => resolve(req.result ? req.result.value.time : null);
+      req.onerror = () => reject(req.error);
+    });
+    const [first, last, count] = await transaction('readonly', store => Promise.all([
+      edge(store, 'next'),
+      edge(store, 'prev'),
+      request(store.count(keyRange(id))),
+    ]));
+    return count ? { first, last, count } : null;
+  }
+
+  async function countIn(id, from, to) {
+    return transaction('readonly', store => request(store.count(keyRange(id, from, to))));
+  }
+
+  async function clear(id) {
+    await transaction('readwrite', store => store.delete(keyRange(id)));
+    document.dispatchEvent(new CustomEvent('orbitwatch:recorder-change'));
+  }
+
+  // Drop samples past the retention window, for every object logged
+  async function prune() {
+    const cutoff = Date.now() - RETENTION_DAYS * 864e5;
+    await transaction('readwrite', store => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (cursor.value.time < cutoff) {
+          cursor.delete();
+          cursor.continue();
+        } else {
+          // Keys sort by id then time: skip to this object's successor
+          cursor.continue([cursor.value.id, Infinity]);
+        }
+      };
+    });
+  }
+
+  // Samples are written in batches, so the last few seconds before the tab
+  // closes are best-effort: hiding the page starts a write, but the browser
+  // may end it before the transaction commits
+  setInterval(flush, FLUSH_INTERVAL);
+  document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flush(); });
+  window.addEventListener('pagehide', flush);
+  database.open().then(prune).catch(err => console.warn('Position log unavailable:', err.message));
+
+  OrbitWatch.recorder = {
+    RETENTION_DAYS,
+    record,
+    flush,
+    range,
+    bounds,
+    countIn,
+    clear,
+    isEnabled: () => enabled,
+    setEnabled,
+  };
+
+  // =============================================
+  // TRACK LOG DRAWER
+  // =============================================
+  const drawerEl = document.getElementById('drawer-log');
+  const formEl = document.getElementById('log-form');
+  const statusEl = document.getElementById('log-status');
+  const summaryEl = document.getElementById('log-summary');
+  const toggleBtn = document.getElementById('log-toggle');
+  const clearBtn = document.getElementById('log-clear');
+  const btnLog = document.getElementById('btn-log');
+  if (!formEl) return;
+
+  const satSelect = formEl.elements.sat;
+  const fromInput = formEl.elements.from;
+  const toInput = formEl.elements.to;
+  let clearArmedAt = 0;
+
+  // datetime-local wants local wall time without a zone
+  function toLocalInput(ms) {
+    const date = new Date(ms);
+    return new Date(ms - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  function fromLocalInput(value) {
+    const ms = new Date(value).getTime();
+    return Number.isFinite(ms) ? ms : null;
+  }
+
+  function formatStamp(ms) {
+    return new Date(ms).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }).toUpperCase();
+  }
+
+  function selectedRange() {
+    const from = fromLocalInput(fromInput.value);
+    const to = fromLocalInput(toInput.value);
+    return { id: Number(satSelect.value), from: from ?? -Infinity, to: to === null ? Infinity : to + 59999 };
+  }
+
+  function renderToggle() {
+    toggleBtn.classList.toggle('active', enabled);
+    toggleBtn.textContent = enabled ? '● RECORDING' : 'PAUSED';
+    if (statusEl) statusEl.textContent = enabled ? `LOGGING THE ISS & SELECTED OBJECT · KEPT ${RETENTION_DAYS} DAYS` : 'RECORDING PAUSED';
+  }
+
+  function renderSatOptions() {
+    const current = satSelect.value;
+    satSelect.innerHTML = catalog.list()
+      .map(sat => `<option value="${sat.id}">${escapeHTML(sat.label)}</option>`)
+      .join('');
+    satSelect.value = current && catalog.get(Number(current)) ? current : String(catalog.selected().id);
+  }
+
+  async function renderSummary() {
+    const { id, from, to } = selectedRange();
+    try {
+      const all = await bounds(id);
+      if (!all) {
+        summaryEl.textContent = 'Nothing logged for this object yet.';
+        return;
+      }
+      const inRange = await countIn(id, from, to);
+      summaryEl.textContent = `${inRange.toLocaleString()} of ${all.count.toLocaleString()} samples in range · log spans ${formatStamp(all.first)} – ${formatStamp(all.last)}`;
+    } catch (err) {
+      summaryEl.textContent = `Position log unavailable: ${err.message}`;
+    }
+  }
+
+  async function setPreset(preset) {
+    const now = Date.now();
+    if (preset === 'all') {
+      const all = await bounds(Number(satSelect.value)).catch(() => null);
+      fromInput.value = all ? toLocalInput(all.first) : '';
+      toInput.value = toLocalInput(all ? all.last : now);
+    } else {
+      fromInput.value = toLocalInput(now - Number(preset) * 3600000);
+      toInput.value = toLocalInput(now);
+    }
+    renderSummary();
+  }
+
+  async function exportTrack(format) {
+    await flush();
+    const { id, from, to } = selectedRange();
+    const sat = catalog.get(id);
+    let points;
+    try {
+      points = await range(id, from, to);
+    } catch (err) {
+      summaryEl.textContent = `Position log unavailable: ${err.message}`;
+      return;
+    }
+    if (points.length < 2) {
+      summaryEl.textContent = 'Fewer than two samples in this range — widen it to export a track.';
+      return;
+    }
+
+    const { exporter } = OrbitWatch;
+    const name = `${sat ? sat.label : `NORAD ${id}`} ground track ${formatStamp(points[0].time)} – ${formatStamp(points[points.length - 1].time)}`;
+    const base = `${(sat ? sat.label : String(id)).toLowerCase().replace(/\W+/g, '-')}-track-${exporter.stamp(new Date(points[0].time))}`;
+    const files = {
+      geojson: [exporter.toGeoJSON, 'geojson', 'application/geo+json'],
+      kml: [exporter.toKML, 'kml', 'application/vnd.google-earth.kml+xml'],
+      gpx: [exporter.toGPX, 'gpx', 'application/gpx+xml'],
+    };
+    const [serialize, extension, type] = files[format];
+    exporter.download(`${base}.${extension}`, serialize(points, name), type);
+  }
+
+  function isOpen() {
+    return drawerEl && drawerEl.classList.contains('open');
+  }
+
+  function render() {
+    renderToggle();
+    renderSatOptions();
+    if (!fromInput.value) {
+      setPreset(24);
+      return;
+    }
+    renderSummary();
+  }
+
+  formEl.addEventListener('click', e => {
+    const preset = e.target.closest('[data-range]');
+    const exportBtn = e.target.closest('[data-export]');
+    if (preset) setPreset(preset.dataset.range);
+    if (exportBtn) exportTrack(exportBtn.dataset.export);
+  });
+  formEl.addEventListener('change', renderSummary);
+  formEl.addEventListener('submit', e => e.preventDefault());
+
+  toggleBtn.addEventListener('click', () => {
+    setEnabled(!enabled);
+    renderToggle();
+  });
+
+  // Deleting a month of samples takes two clicks
+  clearBtn.addEventListener('click', async () => {
+    if (Date.now() - clearArmedAt > CLEAR_ARM_MS) {
+      clearArmedAt = Date.now();
+      clearBtn.textContent = 'CLICK AGAIN TO DELETE';
+      setTimeout(() => { clearBtn.textContent = 'CLEAR LOG'; }, CLEAR_ARM_MS);
+      return;
+    }
+    clearArmedAt = 0;
+    clearBtn.textContent = 'CLEAR LOG';
+    try {
+      await clear(Number(satSelect.value));
+    } catch (err) {
+      summaryEl.textContent = `Could not clear the log: ${err.message}`;
+    }
+  });
+
+  document.addEventListener('orbitwatch:recorder-change', () => { if (isOpen()) renderSummary(); });
+  document.addEventListener('orbitwatch:catalog-change', () => { if (isOpen()) renderSatOptions(); });
+  if (btnLog) btnLog.addEventListener('click', () => setTimeout(render, 100));
+
+})();
@@ -0,0 +1,255 @@
+/* ============================================
+   ORBITWATCH — Share
+   Deep Links · View State in the URL Hash · Back/Forward Drawers
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+  const { catalog, clock, locations } = OrbitWatch;
+
+  const WRITE_DELAY = 400;     // ms — camera drags and clock changes come in bursts
+  const COPIED_MS = 2000;
+  const HISTORY_STATE = { orbitwatch: true };
+  const PLACE_MAX = 60;        // characters kept from a linked place name
+  const RATES = [0, 1, -1, 10, -10, 100, -100]; // what the timeline's rate, pause and reverse buttons produce
+  const TIME_RANGE_DAYS = 30;  // linked times further from now are past any TLE's useful life
+
+  // #pov=20.00,0.00,2.50&drawer=stats&sat=25544&obs=51.4779,-0.0015&place=Greenwich
+  //   &t=2024-08-13T12:00:00Z&rate=10&dn=1&clouds=1&track=1&fp=1&ov=terminator.subsolar
+  // t and rate appear only while the clock is off live time.
+
+  let activeDrawer = null;
+  let restoring = false;
+  let lastWritten = null;
+  let writeTimer = null;
+
+  // =============================================
+  // ENCODE / DECODE
+  // =============================================
+  function param(key, value) {
+    return `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`;
+  }
+
+  function encode() {
+    const parts = [];
+    const view = OrbitWatch.view ? OrbitWatch.view.get() : null;
+
+    if (view && view.pov) {
+      const { lat, lng, altitude } = view.pov;
+      parts.push(param('pov', [lat.toFixed(2), lng.toFixed(2), altitude.toFixed(2)].join(',')));
+    }
+    if (activeDrawer) parts.push(param('drawer', activeDrawer.replace(/^drawer-/, '')));
+    parts.push(param('sat', catalog.selected().id));
+
+    const observer = locations.current();
+    if (observer) {
+      parts.push(param('obs', `${observer.lat.toFixed(4)},${observer.lng.toFixed(4)}`));
+      parts.push(param('place', observer.name));
+    }
+
+    if (!clock.isLive()) {
+      parts.push(param('t', new Date(clock.now()).toISOString().replace(/\.\d{3}Z$/, 'Z')));
+      parts.push(param('rate', clock.rate()));
+    }
+
+    if (view) {
+      parts.push(param('dn', view.dayNight ? 1 : 0));
+      parts.push(param('clouds', view.clouds ? 1 : 0));
+      parts.push(param('track', view.groundTrack));
+      parts.push(param('fp', view.footprint ? 1 : 0));
+      parts.push(param('ov', Object.keys(view.overlays).filter(key => view.overlays[key]).join('.')));
+    }
+    return `#${parts.join('&')}`;
+  }
+
+  function numbers(value, count) {
+    const list = (value || '').split(',').map(Number);
+    return list.length === count && list.every(Number.isFinite) ? list : null;
+  }
+
+  // Place names arrive from whoever wrote the link: plain text, one short line
+  function placeName(value) {
+    const name = (value || '').replace(/[\u0000-\u001f\u007f<>]/g, '').replace(/\s+/g, ' ').trim();
+    return name.slice(0, PLACE_MAX) || undefined;
+  }
+
+  function flag(value) {
+    return value === null ? undefined : value === '1';
+  }
+
+  // Hash -> { drawer, sat, observer, time, rate, view }; anything missing or malformed is left out
+  function decode(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const link = { drawer: null, view: {} };
+
+    const drawer = `drawer-${params.get('drawer')}`;
+    if (params.has('drawer') && document.getElementById(drawer)) link.drawer = drawer;
+
+    const sat = parseInt(params.get('sat'), 10);
+    if (sat > 0) link.sat = sat;
+
+    const obs = numbers(params.get('obs'), 2);
+    if (obs && Math.abs(obs[0]) <= 90 && Math.abs(obs[1]) <= 180) {
+      link.observer = { lat: obs[0], lng: obs[1], name: placeName(params.get('place')) };
+    }
+
+    const time = Date.parse(params.get('t'));
+    if (Number.isFinite(time) && Math.abs(time - Date.now()) <= TIME_RANGE_DAYS * 864e5) {
+      link.time = time;
+      const rate = params.has('rate') ? Number(params.get('rate')) : 1;
+      link.rate = RATES.includes(rate) ? rate : 1;
+    }
+
+    const pov = numbers(params.get('pov'), 3);
+    if (pov) link.view.pov = { lat: pov[0], lng: pov[1], altitude: pov[2] };
+    link.view.dayNight = flag(params.get('dn'));
+    link.view.clouds = flag(params.get('clouds'));
+    link.view.footprint = flag(params.get('fp'));
+    if (params.has('track')) link.view.groundTrack = parseInt(params.get('track'), 10);
+    if (params.has('ov')) {
+      const on = new Set(params.get('ov').split('.'));
+      const current = OrbitWatch.view ? OrbitWatch.view.get().overlays : {};
+      link.view.overlays = Object.fromEntries(Object.keys(current).map(key => [key, on.has(key)]));
+    }
+    return link;
+  }
+
+  // =============================================
+  // APPLY — drawers go through their toolbar buttons so each module renders as usual
+  // =============================================
+  function showDrawer(id) {
+    if (id === activeDrawer) return;
+    restoring = true;
+    if (id) {
+      const btn = document.querySelector(`[data-drawer="${id}"]`);
+      if (btn) btn.click();
+    } else {
+      const back = document.querySelector(`#${activeDrawer} [data-close-drawer]`);
+      if (back) back.click();
+    }
+    restoring = false;
+  }
+
+  async function selectSatellite(id) {
+    if (catalog.get(id)) {
+      catalog.select(id);
+      return;
+    }
+    try {
+      await catalog.ready;
+      const added = catalog.get(id) ? [catalog.get(id)] : await catalog.add({ CATNR: id });
+      if (added.length) catalog.select(added[0].id);
+    } catch (err) {
+      console.warn(`Linked satellite ${id} could not be added:`, err);
+    }
+  }
+
+  function applyLink(link) {
+    restoring = true;
+    if (OrbitWatch.view) OrbitWatch.view.set(link.view);
+
+    if (link.sat) selectSatellite(link.sat);
+
+    const observer = locations.current();
+    if (link.observer && (!observer
+      || observer.lat.toFixed(4) !== link.observer.lat.toFixed(4)
+      || observer.lng.toFixed(4) !== link.observer.lng.toFixed(4))) {
+      locations.set(link.observer);
+    }
+
+    if (link.time !== undefined) {
+      clock.seek(link.time);
+      if (link.rate !== clock.rate()) clock.setRate(link.rate);
+    } else if (!clock.isLive()) {
+      clock.goLive();
+    }
+    restoring = false;
+
+    showDrawer(link.drawer);
+  }
+
+  // =============================================
+  // WRITE — replace the current entry; opening or closing a drawer pushes a new one
+  // =============================================
+  function write(push) {
+    clearTimeout(writeTimer);
+    const hash = encode();
+    if (hash === location.hash && !push) return;
+    lastWritten = hash;
+    if (push) history.pushState(HISTORY_STATE, '', hash);
+    else history.replaceState(HISTORY_STATE, '', hash);
+  }
+
+  function scheduleWrite() {
+    clearTimeout(writeTimer);
+    writeTimer = setTimeout(() => write(false), WRITE_DELAY);
+  }
+
+  document.addEventListener('orbitwatch:drawer-change', e => {
+    if (e.detail.id === activeDrawer) return;
+    activeDrawer = e.detail.id;
+    write(!restoring);
+  });
+
+  ['view-change', 'satellite-change', 'location-change', 'clock-change'].forEach(name => {
+    document.addEventListener(`orbitwatch:${name}`, () => { if (!restoring) scheduleWrite(); });
+  });
+
+  // Our own entries only change the drawer; a hash typed or pasted into the
+  // address bar is a new link and is applied in full
+  window.addEventListener('popstate', e => {
+    lastWritten = location.hash;
+    if (e.state && e.state.orbitwatch) showDrawer(decode(location.hash).drawer);
+    else applyLink(decode(location.hash));
+    scheduleWrite();
+  });
+
+  window.addEventListener('hashchange', () => {
+    if (location.hash === lastWritten) return;
+    lastWritten = location.hash;
+    applyLink(decode(location.hash));
+    scheduleWrite();
+  });
+
+  // app.js (a deferred module) has registered OrbitWatch.view by DOMContentLoaded.
+  // The landing entry is marked as ours so going back to it only closes drawers.
+  function restore() {
+    history.replaceState(HISTORY_STATE, '');
+    if (location.hash.length > 1) {
+      lastWritten = location.hash;
+      applyLink(decode(location.hash));
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', restore);
+  } else {
+    restore();
+  }
+
+  OrbitWatch.share = {
+    link: () => `${location.href.split('#')[0]}${encode()}`,
+  };
+
+  // =============================================
+  // SHARE BUTTON
+  // =============================================
+  const btnShare = document.getElementById('btn-share');
+  if (!btnShare) return;
+  const labelEl = btnShare.querySelector('.toolbar__label');
+
+  btnShare.addEventListener('click', async () => {
+    write(false);
+    const url = OrbitWatch.share.link();
+    try {
+      await navigator.clipboard.writeText(url);
+      labelEl.textContent = 'COPIED';
+      setTimeout(() => { labelEl.textContent = 'SHARE'; }, COPIED_MS);
+    } catch {
+      window.prompt('Copy this link to share the current view:', url);
+    }
+  });
+
+})();
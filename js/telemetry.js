@@ -0,0 +1,528 @@
+/* ============================================
+   ORBITWATCH — Telemetry Sources
+   ISS Live (Lightstreamer) · Mock Server · Simulator
+   History · Caution/Warning Limits · Alarms
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+
+  // NASA's public ISS Live feed, served from Lightstreamer's demo server
+  const LIGHTSTREAMER_CLIENT = 'https://cdn.jsdelivr.net/npm/lightstreamer-client-web@9.2.3/lightstreamer-core.esm.js';
+  const ISS_LIVE_SERVER = 'https://push.lightstreamer.com';
+  const ISS_LIVE_ADAPTER = 'ISSLIVE';
+  const SIGNAL_ITEM = 'TIME_000001'; // ground clock; Status.Class is 24 while the station has a downlink
+  const SIGNAL_ACQUIRED = '24';
+
+  // `node tools/telemetry-mock.js` serves this during development
+  const MOCK_URL = 'http://localhost:8787/telemetry';
+  const MOCK_POLL_MS = 2000;
+
+  const STALE_LIMIT_MS = 30 * 60000; // held values older than this give way to the simulator
+  const NOTIFY_MS = 1000;
+  const TORR_TO_HPA = 1.33322;
+
+  // Every channel is sampled on one clock so history, cards and alarms agree
+  const SAMPLE_MS = 3000;
+  const HISTORY_SIZE = 200; // 10 minutes
+  const LOG_SIZE = 100;
+  const TONE_REPEAT_MS = 5000;
+  const LEVELS = ['nominal', 'caution', 'warning'];
+  const RAISE_SAMPLES = 2;   // consecutive samples beyond a limit before it alarms
+  const DEADBAND = 0.02;     // of the channel range: how far back inside a limit clears it
+
+  // Cards in the telemetry drawer. `pui` is the ISS Live parameter identifier;
+  // parameters without one have no public feed and always come from the simulator.
+  // `limits` are the default caution/warning bounds (a value beyond one raises it); users can override them.
+  // `simulate` replaces the default wave-plus-noise simulator for a channel,
+  // `deadband` the default clearing margin (in the channel's unit).
+  const PARAMETERS = [
+    {
+      key: 'solarArrayOutput', min: 75, max: 120, unit: 'KW', label: 'SOLAR ARRAY OUTPUT',
+      limits: { warningLow: 76, cautionLow: 79 },
+    },
+    {
+      key: 'batteryCharge', min: 60, max: 100, unit: '%', label: 'BATTERY CHARGE',
+      limits: { warningLow: 61, cautionLow: 65 },
+    },
+    {
+      key: 'cabinTemp', pui: 'USLAB000059', min: 18.3, max: 26.7, decimals: 1, unit: '°C', label: 'CABIN TEMPERATURE',
+      limits: { warningLow: 18.3, cautionLow: 19, cautionHigh: 26, warningHigh: 26.7 },
+    },
+    {
+      key: 'cabinPressure', pui: 'USLAB000058', convert: torr => torr * TORR_TO_HPA, min: 979, max: 1027, unit: 'hPa', label: 'CABIN PRESSURE',
+      limits: { warningLow: 979, cautionLow: 986, cautionHigh: 1024, warningHigh: 1027 },
+    },
+    {
+      key: 'o2Level', min: 19.5, max: 23.5, decimals: 1, unit: '%', label: 'O₂ LEVEL',
+      limits: { warningLow: 19.5, cautionLow: 19.8, cautionHigh: 23.2, warningHigh: 23.5 },
+    },
+    {
+      key: 'co2Level', min: 0.1, max: 0.5, decimals: 2, unit: '%', label: 'CO₂ LEVEL',
+      limits: { cautionHigh: 0.45, warningHigh: 0.5 },
+    },
+    {
+      key: 'humidity', min: 25, max: 75, unit: '%', label: 'HUMIDITY',
+      limits: { warningLow: 25, cautionLow: 28, cautionHigh: 72, warningHigh: 75 },
+    },
+    { key: 'solarAngle', pui: 'S0000004', min: 0, max: 360, decimals: 1, unit: '°', label: 'STARBOARD SARJ ANGLE', limits: {} },
+    { key: 'portSarjAngle', pui: 'S0000003', min: 0, max: 360, decimals: 1, unit: '°', label: 'PORT SARJ ANGLE', limits: {} },
+    {
+      key: 'cmgsOnline', pui: 'USLAB000012', min: 0, max: 4, unit: 'OF 4', label: 'CMGs ON-LINE',
+      limits: { warningLow: 3, cautionLow: 4 },
+      simulate: () => 4, // a count, not a wave
+      deadband: 0,
+    },
+  ];
+
+  const LIMIT_KEYS = ['warningLow', 'cautionLow', 'cautionHigh', 'warningHigh'];
+
+  const STATUS_TEXT = {
+    connecting: 'CONNECTING',
+    live: 'LIVE',
+    los: 'LOSS OF SIGNAL',
+    stalled: 'RECONNECTING',
+    offline: 'UNAVAILABLE',
+  };
+
+  // =============================================
+  // SOURCES
+  // A source is { id, label, start({ update, status }), stop() }. It calls
+  // update(pui, value, timestamp) for each sample and status(state) with
+  // one of the STATUS_TEXT keys; this module maps PUIs onto cards and
+  // decides what is live, stale or simulated.
+  // =============================================
+  const sources = {};
+
+  function registerSource(source) {
+    sources[source.id] = source;
+  }
+
+  // ISS Live timestamps are decimal hours since the start of the UTC year
+  function issLiveTime(hours) {
+    const now = new Date();
+    const t = Date.UTC(now.getUTCFullYear(), 0, 1) + parseFloat(hours) * 3600000;
+    return t > now.getTime() + 864e5 ? t - 365 * 864e5 : t; // just past New Year, still last year's clock
+  }
+
+  function issLiveSource() {
+    let client = null;
+    let session = 0;
+
+    return {
+      id: 'isslive',
+      label: 'ISS LIVE',
+
+      async start({ update, status }) {
+        const current = ++session;
+        status('connecting');
+
+        let lightstreamer;
+        try {
+          lightstreamer = await import(LIGHTSTREAMER_CLIENT);
+        } catch (err) {
+          console.warn('Lightstreamer client failed to load:', err);
+          status('offline');
+          return;
+        }
+        if (current !== session) return; // stopped while loading
+
+        let connected = false;
+        let signal = true;
+        const report = () => status(connected ? (signal ? 'live' : 'los') : 'stalled');
+
+        client = new lightstreamer.LightstreamerClient(ISS_LIVE_SERVER, ISS_LIVE_ADAPTER);
+        client.addListener({
+          onStatusChange(state) {
+            connected = state.startsWith('CONNECTED');
+            if (state === 'DISCONNECTED') status('offline');
+            else if (state === 'CONNECTING') status('connecting');
+            else report();
+          },
+        });
+
+        const items = PARAMETERS.filter(p => p.pui).map(p => p.pui).concat(SIGNAL_ITEM);
+        const subscription = new lightstreamer.Subscription('MERGE', items, ['TimeStamp', 'Value', 'Status.Class']);
+        subscription.setRequestedSnapshot('yes');
+        subscription.addListener({
+          onItemUpdate(item) {
+            if (item.getItemName() === SIGNAL_ITEM) {
+              signal = item.getValue('Status.Class') === SIGNAL_ACQUIRED;
+              report();
+              return;
+            }
+            const value = parseFloat(item.getValue('Value'));
+            if (Number.isFinite(value)) update(item.getItemName(), value, issLiveTime(item.getValue('TimeStamp')));
+          },
+        });
+        client.subscribe(subscription);
+        client.connect();
+      },
+
+      stop() {
+        session++;
+        if (client) client.disconnect();
+        client = null;
+      },
+    };
+  }
+
+  // Development feed: GET MOCK_URL -> { timestamp, signal, values: { PUI: value } }
+  function mockSource() {
+    let timer = null;
+
+    return {
+      id: 'mock',
+      label: 'MOCK SERVER',
+
+      start({ update, status }) {
+        let reached = false;
+        status('connecting');
+
+        const poll = async () => {
+          try {
+            const res = await fetch(localStorage.getItem('orbitwatch.telemetryMockUrl') || MOCK_URL);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            reached = true;
+            Object.keys(data.values).forEach(pui => update(pui, data.values[pui], data.timestamp));
+            status(data.signal === false ? 'los' : 'live');
+          } catch (err) {
+            if (!reached) console.warn('Telemetry mock server unreachable:', err);
+            status(reached ? 'stalled' : 'offline');
+          }
+        };
+        poll();
+        timer = setInterval(poll, MOCK_POLL_MS);
+      },
+
+      stop() {
+        clearInterval(timer);
+        timer = null;
+      },
+    };
+  }
+
+  registerSource(issLiveSource());
+  registerSource(mockSource());
+
+  // =============================================
+  // SIMULATOR — fills cards with no feed, or when the feed is unavailable
+  // =============================================
+  // Made-up numbers stay inside the default caution limits, so the simulator
+  // never raises an alarm on its own — only a user's tighter limits can
+  function simulate(param) {
+    if (param.simulate) return param.simulate();
+    const { limits } = param;
+    const low = Math.max(param.min, limits.cautionLow ?? limits.warningLow ?? param.min);
+    const high = Math.min(param.max, limits.cautionHigh ?? limits.warningHigh ?? param.max);
+    const range = high - low;
+    // Use a sine wave with noise to simulate realistic fluctuation
+    const t = Date.now() / 60000; // slowly changing
+    const base = low + range * (0.5 + 0.4 * Math.sin(t * 0.7));
+    const noise = (Math.random() - 0.5) * range * 0.05;
+    return Math.max(low, Math.min(high, base + noise));
+  }
+
+  // =============================================
+  // ACTIVE SOURCE + READINGS
+  // =============================================
+  const state = {
+    sourceId: localStorage.getItem('orbitwatch.telemetrySource') || 'isslive', // or 'simulator'
+    status: 'offline',
+    statusSince: Date.now(),
+    started: false,
+    samples: {}, // card key -> { value, at }
+    notifyTimer: null,
+    sampleTimer: null,
+    history: {}, // card key -> [{ at, value, provenance }], oldest first
+    limits: loadLimits(), // card key -> user overrides of param.limits
+    alarms: {}, // card key -> { level, since, value, provenance, acknowledged, silenced }
+    log: [], // newest first
+    lastTone: 0,
+  };
+
+  function notify() {
+    if (state.notifyTimer) return;
+    state.notifyTimer = setTimeout(() => {
+      state.notifyTimer = null;
+      document.dispatchEvent(new CustomEvent('orbitwatch:telemetry', { detail: { status: state.status } }));
+    }, NOTIFY_MS);
+  }
+
+  const handlers = {
+    update(pui, value, timestamp) {
+      PARAMETERS.forEach(param => {
+        if (param.pui !== pui) return;
+        state.samples[param.key] = {
+          value: param.convert ? param.convert(value) : value,
+          at: timestamp || Date.now(),
+        };
+      });
+    },
+    status(status) {
+      if (status === state.status) return;
+      state.status = status;
+      state.statusSince = Date.now();
+      notify();
+    },
+  };
+
+  function connect() {
+    const source = sources[state.sourceId];
+    if (source) source.start(handlers);
+    else handlers.status('offline');
+  }
+
+  // Feeds connect on first use of the drawer, not at page load; sampling and alarms run from then on
+  function start() {
+    if (state.started) return;
+    state.started = true;
+    connect();
+    sample();
+    state.sampleTimer = setInterval(sample, SAMPLE_MS);
+  }
+
+  // Switch feeds; readings from the previous one are dropped rather than mislabelled
+  function use(id) {
+    if (sources[state.sourceId]) sources[state.sourceId].stop();
+    state.sourceId = sources[id] ? id : 'simulator';
+    state.samples = {};
+    state.status = 'offline';
+    localStorage.setItem('orbitwatch.telemetrySource', state.sourceId);
+    if (state.started) connect();
+    notify();
+  }
+
+  // One reading per card: provenance is live, stale (feed held or lost signal) or simulated
+  function read() {
+    const now = Date.now();
+    return PARAMETERS.map(param => {
+      const sample = state.samples[param.key];
+      const usable = sample && state.status !== 'offline' && now - sample.at < STALE_LIMIT_MS;
+      if (!usable) {
+        return { param, value: simulate(param), at: now, provenance: 'simulated' };
+      }
+      return {
+        param,
+        value: sample.value,
+        at: sample.at,
+        provenance: state.status === 'live' ? 'live' : 'stale',
+      };
+    });
+  }
+
+  function status() {
+    const source = sources[state.sourceId];
+    return {
+      sourceId: state.sourceId,
+      label: source ? source.label : 'SIMULATOR',
+      state: source ? state.status : 'offline',
+      text: source ? STATUS_TEXT[state.status] : 'SIMULATED',
+      since: state.statusSince,
+    };
+  }
+
+  // =============================================
+  // HISTORY + LIMITS
+  // =============================================
+  function loadLimits() {
+    try {
+      return JSON.parse(localStorage.getItem('orbitwatch.telemetryLimits')) || {};
+    } catch (err) {
+      console.warn('Telemetry limits restore failed:', err);
+      return {};
+    }
+  }
+
+  function limitsFor(param) {
+    return { ...param.limits, ...state.limits[param.key] };
+  }
+
+  // Missing or blank bounds are simply not checked
+  function setLimits(key, limits) {
+    const clean = {};
+    LIMIT_KEYS.forEach(k => {
+      const v = limits[k];
+      clean[k] = v === '' || v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v);
+    });
+    state.limits[key] = clean;
+    localStorage.setItem('orbitwatch.telemetryLimits', JSON.stringify(state.limits));
+    check();
+  }
+
+  function resetLimits(key) {
+    delete state.limits[key];
+    localStorage.setItem('orbitwatch.telemetryLimits', JSON.stringify(state.limits));
+    check();
+  }
+
+  function levelOf(value, limits) {
+    const beyond = (low, high) => (low !== null && low !== undefined && value < low)
+      || (high !== null && high !== undefined && value > high);
+    if (beyond(limits.warningLow, limits.warningHigh)) return 'warning';
+    if (beyond(limits.cautionLow, limits.cautionHigh)) return 'caution';
+    return 'nominal';
+  }
+
+  // Limits pulled inward by `margin` — a value must clear these to drop a level
+  function inset(limits, margin) {
+    const move = (value, by) => (value === null || value === undefined ? value : value + by);
+    return {
+      warningLow: move(limits.warningLow, margin),
+      cautionLow: move(limits.cautionLow, margin),
+      cautionHigh: move(limits.cautionHigh, -margin),
+      warningHigh: move(limits.warningHigh, -margin),
+    };
+  }
+
+  // =============================================
+  // ALARMS — raised when a channel stays in caution or warning for
+  // RAISE_SAMPLES samples, cleared when it returns inside its limits by the
+  // deadband, so noise around a limit can't flap them. Acknowledging stops
+  // the flashing and the tone; silencing stops only the tone. Escalation
+  // re-arms both.
+  // =============================================
+  function record(event, param, alarm) {
+    state.log.unshift({
+      at: Date.now(),
+      event, // 'caution' | 'warning' | 'clear' | 'ack'
+      key: param.key,
+      label: param.label,
+      value: alarm.value,
+      unit: param.unit,
+      provenance: alarm.provenance,
+    });
+    state.log.length = Math.min(state.log.length, LOG_SIZE);
+  }
+
+  function evaluate(param, history) {
+    const reading = history[history.length - 1];
+    const limits = limitsFor(param);
+    const alarm = state.alarms[param.key];
+    const current = alarm ? alarm.level : 'nominal';
+    const rank = level => LEVELS.indexOf(level);
+
+    // The lowest level every recent sample reached, and the level the latest
+    // one is at once the deadband is taken off the limits
+    const recent = history.slice(-RAISE_SAMPLES).map(r => rank(levelOf(r.value, limits)));
+    const sustained = recent.length === RAISE_SAMPLES ? LEVELS[Math.min(...recent)] : 'nominal';
+    const deadband = param.deadband ?? (param.max - param.min) * DEADBAND;
+    const settled = levelOf(reading.value, inset(limits, deadband));
+
+    let level = current;
+    if (rank(sustained) > rank(current)) level = sustained;
+    else if (rank(settled) < rank(current)) level = settled;
+
+    if (alarm) {
+      alarm.value = reading.value;
+      alarm.provenance = reading.provenance;
+    }
+    if (level === current) return;
+
+    if (level === 'nominal') {
+      record('clear', param, alarm);
+      delete state.alarms[param.key];
+      return;
+    }
+
+    const escalated = LEVELS.indexOf(level) > LEVELS.indexOf(current);
+    state.alarms[param.key] = {
+      level,
+      since: escalated ? Date.now() : alarm.since,
+      value: reading.value,
+      provenance: reading.provenance,
+      acknowledged: escalated ? false : alarm.acknowledged,
+      silenced: escalated ? false : alarm.silenced,
+    };
+    record(level, param, state.alarms[param.key]);
+  }
+
+  // Simulated channels alarm visually only — a made-up number shouldn't sound the tone
+  function soundAlarms() {
+    const audible = Object.values(state.alarms).filter(a => !a.acknowledged && !a.silenced && a.provenance !== 'simulated');
+    if (!audible.length || !OrbitWatch.sound || Date.now() - state.lastTone < TONE_REPEAT_MS) return;
+    state.lastTone = Date.now();
+    OrbitWatch.sound.alarm(audible.some(a => a.level === 'warning') ? 'warning' : 'caution');
+  }
+
+  function sample() {
+    if (!state.started) return;
+    read().forEach(reading => {
+      const history = state.history[reading.param.key] || (state.history[reading.param.key] = []);
+      history.push({ at: reading.at, value: reading.value, provenance: reading.provenance });
+      if (history.length > HISTORY_SIZE) history.shift();
+    });
+    check();
+  }
+
+  // Limit checks run on the latest sample of each channel — on every tick and when limits change
+  function check() {
+    PARAMETERS.forEach(param => {
+      const history = state.history[param.key];
+      if (history && history.length) evaluate(param, history);
+    });
+    soundAlarms();
+    document.dispatchEvent(new CustomEvent('orbitwatch:telemetry', { detail: { status: state.status, alarms: alarms() } }));
+  }
+
+  // Acknowledge one channel, or every active alarm when `key` is omitted
+  function acknowledge(key) {
+    PARAMETERS.forEach(param => {
+      const alarm = state.alarms[param.key];
+      if (!alarm || alarm.acknowledged || (key && key !== param.key)) return;
+      alarm.acknowledged = true;
+      alarm.silenced = true;
+      record('ack', param, alarm);
+    });
+    notify();
+  }
+
+  function silence() {
+    Object.values(state.alarms).forEach(alarm => { alarm.silenced = true; });
+    notify();
+  }
+
+  function alarms() {
+    return PARAMETERS.filter(param => state.alarms[param.key]).map(param => ({ param, ...state.alarms[param.key] }));
+  }
+
+  // Everything a card needs: latest sample, its history, limits and alarm state
+  function channels() {
+    return PARAMETERS.map(param => {
+      const history = state.history[param.key] || [];
+      return {
+        param,
+        reading: history[history.length - 1] || null,
+        history,
+        limits: limitsFor(param),
+        customLimits: !!state.limits[param.key],
+        alarm: state.alarms[param.key] || null,
+      };
+    });
+  }
+
+  OrbitWatch.telemetry = {
+    PARAMETERS,
+    STATUS_TEXT,
+    LIMIT_KEYS,
+    SAMPLE_MS,
+    HISTORY_SIZE,
+    registerSource,
+    sources: () => Object.values(sources).map(({ id, label }) => ({ id, label })),
+    start,
+    use,
+    read,
+    status,
+    channels,
+    setLimits,
+    resetLimits,
+    alarms,
+    acknowledge,
+    silence,
+    log: () => state.log.slice(),
+  };
+
+})();
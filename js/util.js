@@ -0,0 +1,20 @@
+/* ============================================
+   ORBITWATCH — Utilities
+   HTML Escaping
+   ============================================ */
+
+(() => {
+  'use strict';
+
+  const OrbitWatch = window.OrbitWatch = window.OrbitWatch || {};
+
+  // Text from users, imports, links or remote APIs, made safe for innerHTML templates
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, c => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+
+  OrbitWatch.escapeHTML = escapeHTML;
+
+})();
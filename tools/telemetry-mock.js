@@ -0,0 +1,55 @@
+/* ============================================
+   ORBITWATCH — Telemetry Mock Server
+   Development stand-in for the ISS Live feed
+   ============================================
+
+   node tools/telemetry-mock.js [port]
+
+   Serves GET /telemetry as { timestamp, signal, values: { PUI: value } },
+   the shape the MOCK SERVER source in js/telemetry.js polls. Values drift
+   plausibly, the SARJs turn once per orbit, and the downlink drops for
+   two minutes in every twenty so the drawer's STALE state can be exercised.
+*/
+
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const ORBIT_MS = 92.68 * 60000;
+const LOS_EVERY_MS = 20 * 60000;
+const LOS_FOR_MS = 2 * 60000;
+
+function sample(now) {
+  const t = now / 60000;
+  const sarj = (now % ORBIT_MS) / ORBIT_MS * 360;
+  return {
+    USLAB000058: 760 + 2 * Math.sin(t / 17) + (Math.random() - 0.5) * 0.2, // cabin pressure, torr
+    USLAB000059: 22.5 + Math.sin(t / 23) + (Math.random() - 0.5) * 0.1,   // cabin temperature, °C
+    S0000004: sarj,                                                       // starboard SARJ, deg
+    S0000003: (360 - sarj) % 360,                                         // port SARJ turns the other way
+    USLAB000012: 4,                                                       // CMGs on-line
+  };
+}
+
+const server = http.createServer((req, res) => {
+  const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+
+  if (req.method !== 'GET' || req.url.split('?')[0] !== '/telemetry') {
+    res.writeHead(404, headers);
+    res.end();
+    return;
+  }
+
+  const now = Date.now();
+  res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    timestamp: now,
+    signal: now % LOS_EVERY_MS >= LOS_FOR_MS,
+    values: sample(now),
+  }));
+});
+
+server.listen(PORT, () => {
+  console.log(`Telemetry mock on http://localhost:${PORT}/telemetry`);
+});